@@ -0,0 +1,80 @@
+// Arrangement - the song as a list of sections played start to finish
+// A section is { name, firstBar, lastBar, repeats }: bars firstBar to lastBar, played `repeats`
+// times before the next section. Sections may use the same bars (a chorus that comes back)
+// and do not have to cover every bar.
+class Arrangement {
+    static MAX_SECTIONS = 32;
+    static MAX_REPEATS = 16;
+    static MAX_NAME_LENGTH = 20;
+    static SECTION_NAMES = ['Intro', 'Verse', 'Chorus', 'Bridge', 'Outro'];
+
+    // Return a valid section from possibly invalid saved data, or null. Bars are clamped to
+    // the song's bar count.
+    static sanitizeSection(section, barCount) {
+        if (!section || typeof section !== 'object') return null;
+        const isBar = value => Number.isInteger(value) && value >= 1;
+        if (!isBar(section.firstBar) || !isBar(section.lastBar) || section.firstBar > barCount) {
+            return null;
+        }
+        const name = typeof section.name === 'string' ? section.name.trim().slice(0, Arrangement.MAX_NAME_LENGTH) : '';
+        const repeats = Number.isInteger(section.repeats) ? section.repeats : 1;
+        return {
+            name: name || 'Section',
+            firstBar: section.firstBar,
+            lastBar: Math.max(section.firstBar, Math.min(barCount, section.lastBar)),
+            repeats: Math.max(1, Math.min(Arrangement.MAX_REPEATS, repeats))
+        };
+    }
+
+    static sanitize(sections, barCount) {
+        if (!Array.isArray(sections)) return [];
+        return sections.map(section => Arrangement.sanitizeSection(section, barCount))
+            .filter(section => section !== null)
+            .slice(0, Arrangement.MAX_SECTIONS);
+    }
+
+    // Name for a new section, following the usual song order
+    static getDefaultName(sectionIndex) {
+        return Arrangement.SECTION_NAMES[sectionIndex % Arrangement.SECTION_NAMES.length];
+    }
+
+    // The bars of the song in play order: [{ section (index), repeat (0-based), barNumber }]
+    static getBarSequence(sections) {
+        const sequence = [];
+        sections.forEach((section, sectionIndex) => {
+            for (let repeat = 0; repeat < section.repeats; repeat++) {
+                for (let barNumber = section.firstBar; barNumber <= section.lastBar; barNumber++) {
+                    sequence.push({ section: sectionIndex, repeat, barNumber });
+                }
+            }
+        });
+        return sequence;
+    }
+
+    // Follow bars being inserted or deleted (barMap: old -> new bar number, deleted bars
+    // missing; the order of the remaining bars must not change). A section keeps its
+    // remaining bars and any bars inserted between them; sections without bars are dropped.
+    static remap(sections, barMap) {
+        return sections.map(section => {
+            const barNumbers = [];
+            for (let barNumber = section.firstBar; barNumber <= section.lastBar; barNumber++) {
+                if (barMap[barNumber] !== undefined) {
+                    barNumbers.push(barMap[barNumber]);
+                }
+            }
+            if (barNumbers.length === 0) return null;
+            return { ...section, firstBar: barNumbers[0], lastBar: barNumbers[barNumbers.length - 1] };
+        }).filter(section => section !== null);
+    }
+
+    // Short description for lists, e.g. "Chorus · bars 9-16 × 2"
+    static describe(section) {
+        const bars = section.firstBar === section.lastBar
+            ? `bar ${section.firstBar}`
+            : `bars ${section.firstBar}-${section.lastBar}`;
+        return section.repeats > 1 ? `${section.name} · ${bars} × ${section.repeats}` : `${section.name} · ${bars}`;
+    }
+}
+
+// Make Arrangement available globally
+window.Arrangement = Arrangement;
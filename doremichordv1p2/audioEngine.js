@@ -0,0 +1,94 @@
+// Audio Engine - the one AudioContext the whole app plays on, and its master bus
+// Every instrument (drums, WaterSynth chords, growl bass, metronome) is constructed with the
+// engine's context and routes into the master bus, so they share a clock and can be mixed
+// and ducked against each other. The master bus is a gain followed by a limiter that keeps
+// the summed instruments from clipping. Offline renders build their own engine on an
+// OfflineAudioContext so the exported mix goes through the same bus.
+class AudioEngine {
+    static MASTER_GAIN = 1;
+    static LIMITER = { threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.1 };
+
+    // options.audioContext: use an existing context (e.g. an OfflineAudioContext) instead
+    // of creating one on first use
+    constructor(options = {}) {
+        this.audioContext = null;
+        this.master = null;     // GainNode every instrument connects to
+        this.limiter = null;
+        this.createCallbacks = []; // Run once the context exists (see onCreate)
+        if (options.audioContext) {
+            this.createMasterBus(options.audioContext);
+        }
+    }
+
+    // The engine's context, created on first use (browsers only allow audio to start after
+    // a user gesture, so nothing is created when the page loads)
+    getContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.createMasterBus(new AudioContextClass());
+            this.createCallbacks.splice(0).forEach(callback => callback(this.audioContext));
+        }
+        return this.audioContext;
+    }
+
+    // Call back with the context once it exists (at once if it already does), e.g. to set up
+    // a mixer without creating the context when the page loads
+    onCreate(callback) {
+        if (this.audioContext) {
+            callback(this.audioContext);
+        } else {
+            this.createCallbacks.push(callback);
+        }
+    }
+
+    createMasterBus(audioContext) {
+        this.audioContext = audioContext;
+        this.master = audioContext.createGain();
+        this.master.gain.value = AudioEngine.MASTER_GAIN;
+
+        const { threshold, knee, ratio, attack, release } = AudioEngine.LIMITER;
+        this.limiter = audioContext.createDynamicsCompressor();
+        this.limiter.threshold.value = threshold;
+        this.limiter.knee.value = knee;
+        this.limiter.ratio.value = ratio;
+        this.limiter.attack.value = attack;
+        this.limiter.release.value = release;
+
+        this.master.connect(this.limiter);
+        this.limiter.connect(audioContext.destination);
+    }
+
+    // Where an instrument plays: { audioContext, destination }. Options given to the
+    // instrument win; an instrument given only a context plays into that context's output.
+    getOutput(options = {}) {
+        if (options.audioContext) {
+            return {
+                audioContext: options.audioContext,
+                destination: options.destination || options.audioContext.destination
+            };
+        }
+        return {
+            audioContext: this.getContext(),
+            destination: options.destination || this.master
+        };
+    }
+
+    isOffline() {
+        return !!(window.OfflineAudioContext && this.audioContext instanceof OfflineAudioContext);
+    }
+
+    // Resume the context if the browser suspended it (autoplay policies). Offline contexts
+    // are started by startRendering instead.
+    resume() {
+        const audioContext = this.getContext();
+        if (audioContext.state === 'suspended' && !this.isOffline()) {
+            return audioContext.resume();
+        }
+        return Promise.resolve();
+    }
+}
+
+// Create the shared engine
+const audioEngine = new AudioEngine();
+window.AudioEngine = AudioEngine;
+window.audioEngine = audioEngine;
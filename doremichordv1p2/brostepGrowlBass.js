@@ -1,5 +1,5 @@
 // Brostep Growl Bass Synthesizer
-// Initialize Audio Context
+// Plays on the shared engine's AudioContext (see audioEngine.js)
 let audioContext;
 let masterGain;
 let masterCompressor;
@@ -9,113 +9,74 @@ let masterBoost;
 const activeSounds = {}; // Track active sounds
 let globalLFORate = 0.5; // Global LFO rate in Hz (default: 0.5 times per second)
 
-// Sidechain ducking
-let sidechainGainGrowl = null;
-let sidechainGainWatersynth = null;
-const SIDECHAIN_DUCK_AMOUNT = 0.0005; // Duck to 0.1% volume (extremely aggressive ducking)
-const SIDECHAIN_ATTACK = 0.001; // 1ms attack (very quick)
-const SIDECHAIN_HOLD = 0.1; // 10ms hold time (stay ducked before release)
-const SIDECHAIN_RELEASE = 0.1; // 5ms release (very quick)
+// Node the growl's master chain plays into (the engine's master bus unless set, see setGrowlOutput).
+// Sidechain ducking happens after it, on the growl's mixer strip (see sidechain.js).
+let growlOutput = null;
+
+// Master processing chain: compressor -> brightness -> distortion -> boost
+function createMasterChain(context) {
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -20; // Start compressing at -20dB
+    compressor.knee.value = 30; // Soft knee
+    compressor.ratio.value = 3; // 3:1 ratio
+    compressor.attack.value = 0.003; // Fast attack (3ms)
+    compressor.release.value = 0.1; // Quick release (100ms)
+    
+    // High-shelf filter for brightness boost
+    const brightness = context.createBiquadFilter();
+    brightness.type = 'highshelf';
+    brightness.frequency.value = 3000; // Boost above 3kHz
+    brightness.gain.value = 4; // +4dB brightness boost
+    
+    // Master distortion for character
+    const distortion = createDistortion(25, context); // Light distortion for character
+    
+    // Final boost after processing
+    const boost = context.createGain();
+    boost.gain.value = 1.2; // 20% boost
+    
+    compressor.connect(brightness);
+    brightness.connect(distortion);
+    distortion.connect(boost);
+    return { compressor, brightness, distortion, boost };
+}
 
 function initMasterChain() {
     if (!audioContext) return;
     
-    // Create sidechain gain node for growl bass if not exists
-    if (!sidechainGainGrowl) {
-        sidechainGainGrowl = audioContext.createGain();
-        sidechainGainGrowl.gain.value = 1.0; // Start at full volume
-    }
-    
     // Create master processing chain if not exists
     if (!masterCompressor) {
-        masterCompressor = audioContext.createDynamicsCompressor();
-        masterCompressor.threshold.value = -20; // Start compressing at -20dB
-        masterCompressor.knee.value = 30; // Soft knee
-        masterCompressor.ratio.value = 3; // 3:1 ratio
-        masterCompressor.attack.value = 0.003; // Fast attack (3ms)
-        masterCompressor.release.value = 0.1; // Quick release (100ms)
-    }
-    
-    if (!masterBrightness) {
-        // High-shelf filter for brightness boost
-        masterBrightness = audioContext.createBiquadFilter();
-        masterBrightness.type = 'highshelf';
-        masterBrightness.frequency.value = 3000; // Boost above 3kHz
-        masterBrightness.gain.value = 4; // +4dB brightness boost
+        const chain = createMasterChain(audioContext);
+        masterCompressor = chain.compressor;
+        masterBrightness = chain.brightness;
+        masterDistortion = chain.distortion;
+        masterBoost = chain.boost;
+        masterBoost.connect(growlOutput || window.audioEngine.master);
     }
     
-    if (!masterDistortion) {
-        // Master distortion for character
-        masterDistortion = createDistortion(25); // Light distortion for character
-    }
-    
-    if (!masterBoost) {
-        // Final boost after processing
-        masterBoost = audioContext.createGain();
-        masterBoost.gain.value = 1.2; // 20% boost
-    }
-    
-    // Connect the chain: masterGain -> sidechainGain -> compressor -> brightness -> distortion -> boost -> destination
+    // Connect the chain: masterGain -> compressor -> brightness -> distortion -> boost -> growl output
     if (masterGain) {
         try {
             masterGain.disconnect(); // Disconnect old connection if exists
         } catch (e) {
             // Ignore if not connected
         }
-        masterGain.connect(sidechainGainGrowl);
+        masterGain.connect(masterCompressor);
     }
-    sidechainGainGrowl.connect(masterCompressor);
-    masterCompressor.connect(masterBrightness);
-    masterBrightness.connect(masterDistortion);
-    masterDistortion.connect(masterBoost);
-    masterBoost.connect(audioContext.destination);
 }
 
-// Sidechain ducking function - called when kick/snare play
-function triggerSidechainDuck() {
-    const now = audioContext ? audioContext.currentTime : 0;
-    const duckLevel = Math.max(0.001, SIDECHAIN_DUCK_AMOUNT); // Ensure non-zero for exponential
-    const holdEnd = now + SIDECHAIN_ATTACK + SIDECHAIN_HOLD;
-    const releaseEnd = holdEnd + SIDECHAIN_RELEASE;
-    
-    // Duck growl bass - using exponential ramps for more natural compression-like curve
-    if (sidechainGainGrowl && audioContext) {
-        sidechainGainGrowl.gain.cancelScheduledValues(now);
-        const currentGain = Math.max(0.001, sidechainGainGrowl.gain.value); // Ensure non-zero for exponential
-        sidechainGainGrowl.gain.setValueAtTime(currentGain, now);
-        // Exponential ramp down (more aggressive curve)
-        sidechainGainGrowl.gain.exponentialRampToValueAtTime(duckLevel, now + SIDECHAIN_ATTACK);
-        // Hold at ducked level
-        sidechainGainGrowl.gain.setValueAtTime(duckLevel, holdEnd);
-        // Exponential ramp back up
-        sidechainGainGrowl.gain.exponentialRampToValueAtTime(1.0, releaseEnd);
-    }
-    
-    // Duck watersynth - using exponential ramps for more natural compression-like curve
-    if (window.sidechainGainWatersynth && window.musicSoundManager && window.musicSoundManager.audioContext) {
-        const waterContext = window.musicSoundManager.audioContext;
-        const waterNow = waterContext.currentTime;
-        const waterHoldEnd = waterNow + SIDECHAIN_ATTACK + SIDECHAIN_HOLD;
-        const waterReleaseEnd = waterHoldEnd + SIDECHAIN_RELEASE;
-        
-        window.sidechainGainWatersynth.gain.cancelScheduledValues(waterNow);
-        const currentGain = Math.max(0.001, window.sidechainGainWatersynth.gain.value); // Ensure non-zero for exponential
-        window.sidechainGainWatersynth.gain.setValueAtTime(currentGain, waterNow);
-        // Exponential ramp down (more aggressive curve)
-        window.sidechainGainWatersynth.gain.exponentialRampToValueAtTime(duckLevel, waterNow + SIDECHAIN_ATTACK);
-        // Hold at ducked level
-        window.sidechainGainWatersynth.gain.setValueAtTime(duckLevel, waterHoldEnd);
-        // Exponential ramp back up
-        window.sidechainGainWatersynth.gain.exponentialRampToValueAtTime(1.0, waterReleaseEnd);
+// Route the growl into another node, e.g. a mixer strip
+function setGrowlOutput(node) {
+    growlOutput = node;
+    if (masterBoost) {
+        masterBoost.disconnect();
+        masterBoost.connect(growlOutput);
     }
 }
 
-// Expose sidechain trigger globally
-window.triggerSidechainDuck = triggerSidechainDuck;
-
 function initAudioContext() {
     if (!audioContext) {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        audioContext = window.audioEngine.getContext();
         masterGain = audioContext.createGain();
         masterGain.gain.value = 0.4; // Default 40% (lowered from 70%)
         initMasterChain(); // Initialize master processing chain
@@ -174,8 +135,8 @@ if (lfoSlider && lfoValue) {
 }
 
 // Helper function to create distortion/waveshaper
-function createDistortion(amount) {
-    const waveshaper = audioContext.createWaveShaper();
+function createDistortion(amount, context = audioContext) {
+    const waveshaper = context.createWaveShaper();
     const samples = 44100;
     const curve = new Float32Array(samples);
     const deg = Math.PI / 180;
@@ -200,33 +161,76 @@ function ensureMasterGain() {
     }
 }
 
+// Growl output for another AudioContext, e.g. the OfflineAudioContext of a WAV render:
+// its own master chain at the current volume, playing into destination.
+// Pass the result to a sound creator.
+function createGrowlOutput(context, destination) {
+    const input = context.createGain();
+    input.gain.value = masterGain ? masterGain.gain.value : 0.4;
+    const chain = createMasterChain(context);
+    input.connect(chain.compressor);
+    chain.boost.connect(destination);
+    return { context, destination: input };
+}
+
+// AudioContext and node a sound plays into: the given output, or the live master chain
+function getGrowlOutput(output) {
+    if (output) return output;
+    initAudioContext();
+    ensureMasterGain();
+    return { context: audioContext, destination: masterGain };
+}
+
+// Keep a parameter at its value at time, dropping later automation, so that a ramp can
+// start from there
+function holdParam(param, time) {
+    if (param.cancelAndHoldAtTime) {
+        param.cancelAndHoldAtTime(time);
+    } else {
+        param.cancelScheduledValues(time);
+        param.setValueAtTime(param.value, time);
+    }
+}
+
+// Change the LFO rate of a sound at a time on its AudioContext's clock
+function setGrowlLFORate(soundInstance, rate, time) {
+    if (soundInstance.lfo) {
+        soundInstance.lfo.frequency.setValueAtTime(rate, time);
+    }
+    // Also update gateLFO for stutter growl
+    if (soundInstance.gateLFO) {
+        soundInstance.gateLFO.frequency.setValueAtTime(rate, time);
+    }
+}
+
 // Active sound instances - stores oscillators and nodes for each sound
 const soundInstances = {};
 
 // Sound synthesis functions - Brostep Growl Bass variations
 // Each function returns an object with start() and stop() methods for continuous synthesis
-// Accepts optional frequency parameter to pitch the growl to match a note
+// Accepts optional frequency parameter to pitch the growl to match a note, and an optional
+// output from createGrowlOutput. start, stop and updatePitch take an optional time on the
+// AudioContext's clock (default: now).
 const soundCreators = {
-    classic: (rootFrequency = 55) => {
-        initAudioContext();
-        ensureMasterGain();
+    classic: (rootFrequency = 55, output = null) => {
+        const { context, destination } = getGrowlOutput(output);
         
         let nodes = {};
         let gainNode;
         let lfo;
         
-        const start = () => {
-            const now = audioContext.currentTime;
+        const start = (time) => {
+            const now = Math.max(context.currentTime, time || 0);
             
             // Classic FM growl with sawtooth carrier
-            const carrier = audioContext.createOscillator();
-            const modulator = audioContext.createOscillator();
-            const modGain = audioContext.createGain();
-            gainNode = audioContext.createGain();
-            const filter = audioContext.createBiquadFilter();
-            const distortion = createDistortion(50);
-            lfo = audioContext.createOscillator();
-            const lfoGain = audioContext.createGain();
+            const carrier = context.createOscillator();
+            const modulator = context.createOscillator();
+            const modGain = context.createGain();
+            gainNode = context.createGain();
+            const filter = context.createBiquadFilter();
+            const distortion = createDistortion(50, context);
+            lfo = context.createOscillator();
+            const lfoGain = context.createGain();
 
             carrier.type = 'sawtooth';
             carrier.frequency.value = rootFrequency; // Use provided frequency
@@ -256,64 +260,58 @@ const soundCreators = {
             gainNode.gain.linearRampToValueAtTime(0.4, now + 0.1);
             gainNode.gain.setValueAtTime(0.4, now + 0.1); // Sustain
 
-            gainNode.connect(masterGain);
+            gainNode.connect(destination);
 
-            carrier.start();
-            modulator.start();
-            lfo.start();
+            carrier.start(now);
+            modulator.start(now);
+            lfo.start(now);
             
             nodes = { carrier, modulator, lfo, gainNode };
         };
         
-        const stop = () => {
+        const stop = (time) => {
             if (!gainNode) return;
-            const now = audioContext.currentTime;
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            const now = Math.max(context.currentTime, time || 0);
+            holdParam(gainNode.gain, now);
             gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-            setTimeout(() => {
-                if (nodes.carrier) nodes.carrier.stop();
-                if (nodes.modulator) nodes.modulator.stop();
-                if (nodes.lfo) nodes.lfo.stop();
-            }, 300);
+            if (nodes.carrier) nodes.carrier.stop(now + 0.3);
+            if (nodes.modulator) nodes.modulator.stop(now + 0.3);
+            if (nodes.lfo) nodes.lfo.stop(now + 0.3);
         };
         
-        const updatePitch = (pitchBendMultiplier) => {
+        const updatePitch = (pitchBendMultiplier, time) => {
             if (!nodes.carrier || !nodes.modulator) return;
-            const now = audioContext.currentTime;
+            const now = Math.max(context.currentTime, time || 0);
             const newCarrierFreq = rootFrequency * pitchBendMultiplier;
             const newModulatorFreq = newCarrierFreq * 2; // Maintain 2:1 ratio
-            nodes.carrier.frequency.cancelScheduledValues(now);
-            nodes.carrier.frequency.setValueAtTime(nodes.carrier.frequency.value, now);
+            holdParam(nodes.carrier.frequency, now);
             nodes.carrier.frequency.linearRampToValueAtTime(newCarrierFreq, now + 0.01);
-            nodes.modulator.frequency.cancelScheduledValues(now);
-            nodes.modulator.frequency.setValueAtTime(nodes.modulator.frequency.value, now);
+            holdParam(nodes.modulator.frequency, now);
             nodes.modulator.frequency.linearRampToValueAtTime(newModulatorFreq, now + 0.01);
         };
         
         return { start, stop, updatePitch, get lfo() { return lfo; }, get baseFrequency() { return rootFrequency; } };
     },
 
-    wobble: (rootFrequency = 55) => {
-        initAudioContext();
-        ensureMasterGain();
+    wobble: (rootFrequency = 55, output = null) => {
+        const { context, destination } = getGrowlOutput(output);
         
         let nodes = {};
         let gainNode;
         let lfo;
         
-        const start = () => {
-            const now = audioContext.currentTime;
+        const start = (time) => {
+            const now = Math.max(context.currentTime, time || 0);
             
             // Wobble growl with LFO on filter
-            const carrier = audioContext.createOscillator();
-            const modulator = audioContext.createOscillator();
-            const modGain = audioContext.createGain();
-            lfo = audioContext.createOscillator();
-            const lfoGain = audioContext.createGain();
-            gainNode = audioContext.createGain();
-            const filter = audioContext.createBiquadFilter();
-            const distortion = createDistortion(60);
+            const carrier = context.createOscillator();
+            const modulator = context.createOscillator();
+            const modGain = context.createGain();
+            lfo = context.createOscillator();
+            const lfoGain = context.createGain();
+            gainNode = context.createGain();
+            const filter = context.createBiquadFilter();
+            const distortion = createDistortion(60, context);
 
             carrier.type = 'sawtooth';
             carrier.frequency.value = rootFrequency;
@@ -342,66 +340,60 @@ const soundCreators = {
             gainNode.gain.linearRampToValueAtTime(0.2, now + 0.1); // Reduced for dimmer sound
             gainNode.gain.setValueAtTime(0.2, now + 0.1); // Reduced for dimmer sound
 
-            gainNode.connect(masterGain);
+            gainNode.connect(destination);
 
-            carrier.start();
-            modulator.start();
-            lfo.start();
+            carrier.start(now);
+            modulator.start(now);
+            lfo.start(now);
             
             nodes = { carrier, modulator, lfo, gainNode };
         };
         
-        const stop = () => {
+        const stop = (time) => {
             if (!gainNode) return;
-            const now = audioContext.currentTime;
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            const now = Math.max(context.currentTime, time || 0);
+            holdParam(gainNode.gain, now);
             gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-            setTimeout(() => {
-                if (nodes.carrier) nodes.carrier.stop();
-                if (nodes.modulator) nodes.modulator.stop();
-                if (nodes.lfo) nodes.lfo.stop();
-            }, 300);
+            if (nodes.carrier) nodes.carrier.stop(now + 0.3);
+            if (nodes.modulator) nodes.modulator.stop(now + 0.3);
+            if (nodes.lfo) nodes.lfo.stop(now + 0.3);
         };
         
-        const updatePitch = (pitchBendMultiplier) => {
+        const updatePitch = (pitchBendMultiplier, time) => {
             if (!nodes.carrier || !nodes.modulator) return;
-            const now = audioContext.currentTime;
+            const now = Math.max(context.currentTime, time || 0);
             const newCarrierFreq = rootFrequency * pitchBendMultiplier;
             const newModulatorFreq = newCarrierFreq * 2; // Maintain 2:1 ratio
-            nodes.carrier.frequency.cancelScheduledValues(now);
-            nodes.carrier.frequency.setValueAtTime(nodes.carrier.frequency.value, now);
+            holdParam(nodes.carrier.frequency, now);
             nodes.carrier.frequency.linearRampToValueAtTime(newCarrierFreq, now + 0.01);
-            nodes.modulator.frequency.cancelScheduledValues(now);
-            nodes.modulator.frequency.setValueAtTime(nodes.modulator.frequency.value, now);
+            holdParam(nodes.modulator.frequency, now);
             nodes.modulator.frequency.linearRampToValueAtTime(newModulatorFreq, now + 0.01);
         };
         
         return { start, stop, updatePitch, get lfo() { return lfo; }, get baseFrequency() { return rootFrequency; } };
     },
 
-    roar: (rootFrequency = 55) => {
-        initAudioContext();
-        ensureMasterGain();
+    roar: (rootFrequency = 55, output = null) => {
+        const { context, destination } = getGrowlOutput(output);
         
         let nodes = {};
         let gainNode;
         let lfo;
         
-        const start = () => {
-            const now = audioContext.currentTime;
+        const start = (time) => {
+            const now = Math.max(context.currentTime, time || 0);
             
             // Deep monster roar with rumbling texture (one octave down for deep character)
-            const carrier = audioContext.createOscillator();
-            const modulator1 = audioContext.createOscillator();
-            const modulator2 = audioContext.createOscillator();
-            const modGain1 = audioContext.createGain();
-            const modGain2 = audioContext.createGain();
-            gainNode = audioContext.createGain();
-            const filter = audioContext.createBiquadFilter();
-            const distortion = createDistortion(75);
-            lfo = audioContext.createOscillator();
-            const lfoGain = audioContext.createGain();
+            const carrier = context.createOscillator();
+            const modulator1 = context.createOscillator();
+            const modulator2 = context.createOscillator();
+            const modGain1 = context.createGain();
+            const modGain2 = context.createGain();
+            gainNode = context.createGain();
+            const filter = context.createBiquadFilter();
+            const distortion = createDistortion(75, context);
+            lfo = context.createOscillator();
+            const lfoGain = context.createGain();
 
             carrier.type = 'sawtooth';
             carrier.frequency.value = rootFrequency; // Match the root note frequency
@@ -436,74 +428,67 @@ const soundCreators = {
             gainNode.gain.linearRampToValueAtTime(0.45, now + 0.1);
             gainNode.gain.setValueAtTime(0.45, now + 0.1);
 
-            gainNode.connect(masterGain);
+            gainNode.connect(destination);
 
-            carrier.start();
-            modulator1.start();
-            modulator2.start();
-            lfo.start();
+            carrier.start(now);
+            modulator1.start(now);
+            modulator2.start(now);
+            lfo.start(now);
             
             nodes = { carrier, modulator1, modulator2, lfo, gainNode };
         };
         
-        const stop = () => {
+        const stop = (time) => {
             if (!gainNode) return;
-            const now = audioContext.currentTime;
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            const now = Math.max(context.currentTime, time || 0);
+            holdParam(gainNode.gain, now);
             gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-            setTimeout(() => {
-                if (nodes.carrier) nodes.carrier.stop();
-                if (nodes.modulator1) nodes.modulator1.stop();
-                if (nodes.modulator2) nodes.modulator2.stop();
-                if (nodes.lfo) nodes.lfo.stop();
-            }, 300);
+            if (nodes.carrier) nodes.carrier.stop(now + 0.3);
+            if (nodes.modulator1) nodes.modulator1.stop(now + 0.3);
+            if (nodes.modulator2) nodes.modulator2.stop(now + 0.3);
+            if (nodes.lfo) nodes.lfo.stop(now + 0.3);
         };
         
-        const updatePitch = (pitchBendMultiplier) => {
+        const updatePitch = (pitchBendMultiplier, time) => {
             if (!nodes.carrier || !nodes.modulator1 || !nodes.modulator2) return;
-            const now = audioContext.currentTime;
+            const now = Math.max(context.currentTime, time || 0);
             const newCarrierFreq = rootFrequency * pitchBendMultiplier;
             const newModulator1Freq = newCarrierFreq * 2; // Maintain 2:1 ratio
             const newModulator2Freq = newCarrierFreq / 2; // Maintain 1:2 ratio (half speed for rumble)
-            nodes.carrier.frequency.cancelScheduledValues(now);
-            nodes.carrier.frequency.setValueAtTime(nodes.carrier.frequency.value, now);
+            holdParam(nodes.carrier.frequency, now);
             nodes.carrier.frequency.linearRampToValueAtTime(newCarrierFreq, now + 0.01);
-            nodes.modulator1.frequency.cancelScheduledValues(now);
-            nodes.modulator1.frequency.setValueAtTime(nodes.modulator1.frequency.value, now);
+            holdParam(nodes.modulator1.frequency, now);
             nodes.modulator1.frequency.linearRampToValueAtTime(newModulator1Freq, now + 0.01);
-            nodes.modulator2.frequency.cancelScheduledValues(now);
-            nodes.modulator2.frequency.setValueAtTime(nodes.modulator2.frequency.value, now);
+            holdParam(nodes.modulator2.frequency, now);
             nodes.modulator2.frequency.linearRampToValueAtTime(newModulator2Freq, now + 0.01);
         };
         
         return { start, stop, updatePitch, get lfo() { return lfo; }, get baseFrequency() { return rootFrequency; } };
     },
 
-    beast: (rootFrequency = 55) => {
-        initAudioContext();
-        ensureMasterGain();
+    beast: (rootFrequency = 55, output = null) => {
+        const { context, destination } = getGrowlOutput(output);
         
         let nodes = {};
         let gainNode;
         let lfo;
         
-        const start = () => {
-            const now = audioContext.currentTime;
+        const start = (time) => {
+            const now = Math.max(context.currentTime, time || 0);
             
             // Powerful beast growl with dual oscillators and heavy distortion
-            const carrier1 = audioContext.createOscillator();
-            const carrier2 = audioContext.createOscillator();
-            const modulator1 = audioContext.createOscillator();
-            const modulator2 = audioContext.createOscillator();
-            const modGain1 = audioContext.createGain();
-            const modGain2 = audioContext.createGain();
-            const mixer = audioContext.createGain();
-            gainNode = audioContext.createGain();
-            const filter = audioContext.createBiquadFilter();
-            const distortion = createDistortion(100); // Higher distortion
-            lfo = audioContext.createOscillator();
-            const lfoGain = audioContext.createGain();
+            const carrier1 = context.createOscillator();
+            const carrier2 = context.createOscillator();
+            const modulator1 = context.createOscillator();
+            const modulator2 = context.createOscillator();
+            const modGain1 = context.createGain();
+            const modGain2 = context.createGain();
+            const mixer = context.createGain();
+            gainNode = context.createGain();
+            const filter = context.createBiquadFilter();
+            const distortion = createDistortion(100, context); // Higher distortion
+            lfo = context.createOscillator();
+            const lfoGain = context.createGain();
 
             carrier1.type = 'sawtooth';
             carrier1.frequency.value = rootFrequency;
@@ -546,76 +531,68 @@ const soundCreators = {
             gainNode.gain.linearRampToValueAtTime(0.25, now + 0.1); // Reduced for dimmer sound
             gainNode.gain.setValueAtTime(0.25, now + 0.1); // Reduced for dimmer sound
 
-            gainNode.connect(masterGain);
+            gainNode.connect(destination);
 
-            carrier1.start();
-            carrier2.start();
-            modulator1.start();
-            modulator2.start();
-            lfo.start();
+            carrier1.start(now);
+            carrier2.start(now);
+            modulator1.start(now);
+            modulator2.start(now);
+            lfo.start(now);
             
             nodes = { carrier1, carrier2, modulator1, modulator2, lfo, gainNode };
         };
         
-        const stop = () => {
+        const stop = (time) => {
             if (!gainNode) return;
-            const now = audioContext.currentTime;
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            const now = Math.max(context.currentTime, time || 0);
+            holdParam(gainNode.gain, now);
             gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-            setTimeout(() => {
-                if (nodes.carrier1) nodes.carrier1.stop();
-                if (nodes.carrier2) nodes.carrier2.stop();
-                if (nodes.modulator1) nodes.modulator1.stop();
-                if (nodes.modulator2) nodes.modulator2.stop();
-                if (nodes.lfo) nodes.lfo.stop();
-            }, 300);
+            if (nodes.carrier1) nodes.carrier1.stop(now + 0.3);
+            if (nodes.carrier2) nodes.carrier2.stop(now + 0.3);
+            if (nodes.modulator1) nodes.modulator1.stop(now + 0.3);
+            if (nodes.modulator2) nodes.modulator2.stop(now + 0.3);
+            if (nodes.lfo) nodes.lfo.stop(now + 0.3);
         };
         
-        const updatePitch = (pitchBendMultiplier) => {
+        const updatePitch = (pitchBendMultiplier, time) => {
             if (!nodes.carrier1 || !nodes.carrier2 || !nodes.modulator1 || !nodes.modulator2) return;
-            const now = audioContext.currentTime;
+            const now = Math.max(context.currentTime, time || 0);
             const newCarrier1Freq = rootFrequency * pitchBendMultiplier;
             const newCarrier2Freq = newCarrier1Freq * 1.009; // Maintain detune
             const newModulator1Freq = newCarrier1Freq * 2; // Maintain 2:1 ratio
             const newModulator2Freq = newCarrier1Freq * 3; // Maintain 3:1 ratio
-            nodes.carrier1.frequency.cancelScheduledValues(now);
-            nodes.carrier1.frequency.setValueAtTime(nodes.carrier1.frequency.value, now);
+            holdParam(nodes.carrier1.frequency, now);
             nodes.carrier1.frequency.linearRampToValueAtTime(newCarrier1Freq, now + 0.01);
-            nodes.carrier2.frequency.cancelScheduledValues(now);
-            nodes.carrier2.frequency.setValueAtTime(nodes.carrier2.frequency.value, now);
+            holdParam(nodes.carrier2.frequency, now);
             nodes.carrier2.frequency.linearRampToValueAtTime(newCarrier2Freq, now + 0.01);
-            nodes.modulator1.frequency.cancelScheduledValues(now);
-            nodes.modulator1.frequency.setValueAtTime(nodes.modulator1.frequency.value, now);
+            holdParam(nodes.modulator1.frequency, now);
             nodes.modulator1.frequency.linearRampToValueAtTime(newModulator1Freq, now + 0.01);
-            nodes.modulator2.frequency.cancelScheduledValues(now);
-            nodes.modulator2.frequency.setValueAtTime(nodes.modulator2.frequency.value, now);
+            holdParam(nodes.modulator2.frequency, now);
             nodes.modulator2.frequency.linearRampToValueAtTime(newModulator2Freq, now + 0.01);
         };
         
         return { start, stop, updatePitch, get lfo() { return lfo; }, get baseFrequency() { return rootFrequency; } };
     },
 
-    sweep: (rootFrequency = 55) => {
-        initAudioContext();
-        ensureMasterGain();
+    sweep: (rootFrequency = 55, output = null) => {
+        const { context, destination } = getGrowlOutput(output);
         
         let nodes = {};
         let gainNode;
         let lfo;
         
-        const start = () => {
-            const now = audioContext.currentTime;
+        const start = (time) => {
+            const now = Math.max(context.currentTime, time || 0);
             
             // Aggressive filter sweep growl
-            const carrier = audioContext.createOscillator();
-            const modulator = audioContext.createOscillator();
-            const modGain = audioContext.createGain();
-            gainNode = audioContext.createGain();
-            const filter = audioContext.createBiquadFilter();
-            const distortion = createDistortion(60); // Reduced from 65 to prevent clipping
-            lfo = audioContext.createOscillator();
-            const lfoGain = audioContext.createGain();
+            const carrier = context.createOscillator();
+            const modulator = context.createOscillator();
+            const modGain = context.createGain();
+            gainNode = context.createGain();
+            const filter = context.createBiquadFilter();
+            const distortion = createDistortion(60, context); // Reduced from 65 to prevent clipping
+            lfo = context.createOscillator();
+            const lfoGain = context.createGain();
 
             carrier.type = 'sawtooth';
             carrier.frequency.value = rootFrequency;
@@ -645,47 +622,41 @@ const soundCreators = {
             gainNode.gain.linearRampToValueAtTime(0.25, now + 0.1);
             gainNode.gain.setValueAtTime(0.25, now + 0.1);
 
-            gainNode.connect(masterGain);
+            gainNode.connect(destination);
 
-            carrier.start();
-            modulator.start();
-            lfo.start();
+            carrier.start(now);
+            modulator.start(now);
+            lfo.start(now);
             
             nodes = { carrier, modulator, lfo, gainNode };
         };
         
-        const stop = () => {
+        const stop = (time) => {
             if (!gainNode) return;
-            const now = audioContext.currentTime;
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            const now = Math.max(context.currentTime, time || 0);
+            holdParam(gainNode.gain, now);
             gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-            setTimeout(() => {
-                if (nodes.carrier) nodes.carrier.stop();
-                if (nodes.modulator) nodes.modulator.stop();
-                if (nodes.lfo) nodes.lfo.stop();
-            }, 300);
+            if (nodes.carrier) nodes.carrier.stop(now + 0.3);
+            if (nodes.modulator) nodes.modulator.stop(now + 0.3);
+            if (nodes.lfo) nodes.lfo.stop(now + 0.3);
         };
         
-        const updatePitch = (pitchBendMultiplier) => {
+        const updatePitch = (pitchBendMultiplier, time) => {
             if (!nodes.carrier || !nodes.modulator) return;
-            const now = audioContext.currentTime;
+            const now = Math.max(context.currentTime, time || 0);
             const newCarrierFreq = rootFrequency * pitchBendMultiplier;
             const newModulatorFreq = newCarrierFreq * 2; // Maintain 2:1 ratio
-            nodes.carrier.frequency.cancelScheduledValues(now);
-            nodes.carrier.frequency.setValueAtTime(nodes.carrier.frequency.value, now);
+            holdParam(nodes.carrier.frequency, now);
             nodes.carrier.frequency.linearRampToValueAtTime(newCarrierFreq, now + 0.01);
-            nodes.modulator.frequency.cancelScheduledValues(now);
-            nodes.modulator.frequency.setValueAtTime(nodes.modulator.frequency.value, now);
+            holdParam(nodes.modulator.frequency, now);
             nodes.modulator.frequency.linearRampToValueAtTime(newModulatorFreq, now + 0.01);
         };
         
         return { start, stop, updatePitch, get lfo() { return lfo; }, get baseFrequency() { return rootFrequency; } };
     },
 
-    stutter: (rootFrequency = 55) => {
-        initAudioContext();
-        ensureMasterGain();
+    stutter: (rootFrequency = 55, output = null) => {
+        const { context, destination } = getGrowlOutput(output);
         
         let nodes = {};
         let gainNode;
@@ -693,22 +664,22 @@ const soundCreators = {
         let gateLFO;
         let gateGain;
         
-        const start = () => {
-            const now = audioContext.currentTime;
+        const start = (time) => {
+            const now = Math.max(context.currentTime, time || 0);
             
             // Stutter/rhythmic gating growl
-            const carrier = audioContext.createOscillator();
-            const modulator = audioContext.createOscillator();
-            const modGain = audioContext.createGain();
-            gainNode = audioContext.createGain();
-            gateGain = audioContext.createGain();
-            const gateLFOGain = audioContext.createGain();
-            const filter = audioContext.createBiquadFilter();
-            const distortion = createDistortion(50); // Reduced from 55 to prevent clipping
-            lfo = audioContext.createOscillator();
-            const lfoGain = audioContext.createGain();
-            gateLFO = audioContext.createOscillator(); // Separate LFO for gate pattern
-            const gateOffset = audioContext.createConstantSource(); // DC offset for gate
+            const carrier = context.createOscillator();
+            const modulator = context.createOscillator();
+            const modGain = context.createGain();
+            gainNode = context.createGain();
+            gateGain = context.createGain();
+            const gateLFOGain = context.createGain();
+            const filter = context.createBiquadFilter();
+            const distortion = createDistortion(50, context); // Reduced from 55 to prevent clipping
+            lfo = context.createOscillator();
+            const lfoGain = context.createGain();
+            gateLFO = context.createOscillator(); // Separate LFO for gate pattern
+            const gateOffset = context.createConstantSource(); // DC offset for gate
 
             carrier.type = 'sawtooth';
             carrier.frequency.value = rootFrequency;
@@ -753,42 +724,37 @@ const soundCreators = {
             gainNode.gain.linearRampToValueAtTime(0.1, now + 0.1); // Further reduced for dimmer sound
             gainNode.gain.setValueAtTime(0.1, now + 0.1); // Further reduced for dimmer sound
 
-            gainNode.connect(masterGain);
+            gainNode.connect(destination);
 
-            carrier.start();
-            modulator.start();
-            lfo.start();
-            gateLFO.start(); // Start gate LFO
-            gateOffset.start(); // Start constant source for offset
+            carrier.start(now);
+            modulator.start(now);
+            lfo.start(now);
+            gateLFO.start(now); // Start gate LFO
+            gateOffset.start(now); // Start constant source for offset
             
             nodes = { carrier, modulator, lfo, gateLFO, gateOffset, gainNode };
         };
         
-        const stop = () => {
+        const stop = (time) => {
             if (!gainNode) return;
-            const now = audioContext.currentTime;
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            const now = Math.max(context.currentTime, time || 0);
+            holdParam(gainNode.gain, now);
             gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-            setTimeout(() => {
-                if (nodes.carrier) nodes.carrier.stop();
-                if (nodes.modulator) nodes.modulator.stop();
-                if (nodes.lfo) nodes.lfo.stop();
-                if (nodes.gateLFO) nodes.gateLFO.stop();
-                if (nodes.gateOffset) nodes.gateOffset.stop();
-            }, 300);
+            if (nodes.carrier) nodes.carrier.stop(now + 0.3);
+            if (nodes.modulator) nodes.modulator.stop(now + 0.3);
+            if (nodes.lfo) nodes.lfo.stop(now + 0.3);
+            if (nodes.gateLFO) nodes.gateLFO.stop(now + 0.3);
+            if (nodes.gateOffset) nodes.gateOffset.stop(now + 0.3);
         };
         
-        const updatePitch = (pitchBendMultiplier) => {
+        const updatePitch = (pitchBendMultiplier, time) => {
             if (!nodes.carrier || !nodes.modulator) return;
-            const now = audioContext.currentTime;
+            const now = Math.max(context.currentTime, time || 0);
             const newCarrierFreq = rootFrequency * pitchBendMultiplier;
             const newModulatorFreq = newCarrierFreq * 2; // Maintain 2:1 ratio
-            nodes.carrier.frequency.cancelScheduledValues(now);
-            nodes.carrier.frequency.setValueAtTime(nodes.carrier.frequency.value, now);
+            holdParam(nodes.carrier.frequency, now);
             nodes.carrier.frequency.linearRampToValueAtTime(newCarrierFreq, now + 0.01);
-            nodes.modulator.frequency.cancelScheduledValues(now);
-            nodes.modulator.frequency.setValueAtTime(nodes.modulator.frequency.value, now);
+            holdParam(nodes.modulator.frequency, now);
             nodes.modulator.frequency.linearRampToValueAtTime(newModulatorFreq, now + 0.01);
         };
         
@@ -802,26 +768,25 @@ const soundCreators = {
         };
     },
 
-    deep: (rootFrequency = 55) => {
-        initAudioContext();
-        ensureMasterGain();
+    deep: (rootFrequency = 55, output = null) => {
+        const { context, destination } = getGrowlOutput(output);
         
         let nodes = {};
         let gainNode;
         let lfo;
         
-        const start = () => {
-            const now = audioContext.currentTime;
+        const start = (time) => {
+            const now = Math.max(context.currentTime, time || 0);
             
             // Deep low frequency growl with resonance (one octave down for deep character)
-            const carrier = audioContext.createOscillator();
-            const modulator = audioContext.createOscillator();
-            const modGain = audioContext.createGain();
-            gainNode = audioContext.createGain();
-            const filter = audioContext.createBiquadFilter();
-            const distortion = createDistortion(40);
-            lfo = audioContext.createOscillator();
-            const lfoGain = audioContext.createGain();
+            const carrier = context.createOscillator();
+            const modulator = context.createOscillator();
+            const modGain = context.createGain();
+            gainNode = context.createGain();
+            const filter = context.createBiquadFilter();
+            const distortion = createDistortion(40, context);
+            lfo = context.createOscillator();
+            const lfoGain = context.createGain();
 
             carrier.type = 'sawtooth';
             carrier.frequency.value = rootFrequency; // Match the root note frequency
@@ -850,71 +815,65 @@ const soundCreators = {
             gainNode.gain.linearRampToValueAtTime(0.45, now + 0.1);
             gainNode.gain.setValueAtTime(0.45, now + 0.1);
 
-            gainNode.connect(masterGain);
+            gainNode.connect(destination);
 
-            carrier.start();
-            modulator.start();
-            lfo.start();
+            carrier.start(now);
+            modulator.start(now);
+            lfo.start(now);
             
             nodes = { carrier, modulator, lfo, gainNode };
         };
         
-        const stop = () => {
+        const stop = (time) => {
             if (!gainNode) return;
-            const now = audioContext.currentTime;
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            const now = Math.max(context.currentTime, time || 0);
+            holdParam(gainNode.gain, now);
             gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-            setTimeout(() => {
-                if (nodes.carrier) nodes.carrier.stop();
-                if (nodes.modulator) nodes.modulator.stop();
-                if (nodes.lfo) nodes.lfo.stop();
-            }, 300);
+            if (nodes.carrier) nodes.carrier.stop(now + 0.3);
+            if (nodes.modulator) nodes.modulator.stop(now + 0.3);
+            if (nodes.lfo) nodes.lfo.stop(now + 0.3);
         };
         
-        const updatePitch = (pitchBendMultiplier) => {
+        const updatePitch = (pitchBendMultiplier, time) => {
             if (!nodes.carrier || !nodes.modulator) return;
-            const now = audioContext.currentTime;
+            const now = Math.max(context.currentTime, time || 0);
             const newCarrierFreq = rootFrequency * pitchBendMultiplier;
             const newModulatorFreq = newCarrierFreq * 2; // Maintain 2:1 ratio
-            nodes.carrier.frequency.cancelScheduledValues(now);
-            nodes.carrier.frequency.setValueAtTime(nodes.carrier.frequency.value, now);
+            holdParam(nodes.carrier.frequency, now);
             nodes.carrier.frequency.linearRampToValueAtTime(newCarrierFreq, now + 0.01);
-            nodes.modulator.frequency.cancelScheduledValues(now);
-            nodes.modulator.frequency.setValueAtTime(nodes.modulator.frequency.value, now);
+            holdParam(nodes.modulator.frequency, now);
             nodes.modulator.frequency.linearRampToValueAtTime(newModulatorFreq, now + 0.01);
         };
         
         return { start, stop, updatePitch, get lfo() { return lfo; }, get baseFrequency() { return rootFrequency; } };
     },
 
-    aggressive: (rootFrequency = 55) => {
-        initAudioContext();
-        ensureMasterGain();
+    aggressive: (rootFrequency = 55, output = null) => {
+        const { context, destination } = getGrowlOutput(output);
         
         let nodes = {};
         let gainNode;
         let lfo;
         
-        const start = () => {
-            const now = audioContext.currentTime;
+        const start = (time) => {
+            const now = Math.max(context.currentTime, time || 0);
             
             // Neuro Bass - Classic drum & bass/brostep sound with detuned sawtooths
             // Based on the classic "Reese bass" with neurofunk character
-            const carrier1 = audioContext.createOscillator();
-            const carrier2 = audioContext.createOscillator();
-            const carrier3 = audioContext.createOscillator();
-            const modulator = audioContext.createOscillator();
-            const modGain = audioContext.createGain();
-            const mixer = audioContext.createGain();
-            gainNode = audioContext.createGain();
-            const filter1 = audioContext.createBiquadFilter();
-            const filter2 = audioContext.createBiquadFilter();
-            const distortion = createDistortion(55); // Reduced from 70 to prevent clipping
-            const compressor = audioContext.createDynamicsCompressor();
-            const makeupGain = audioContext.createGain();
-            lfo = audioContext.createOscillator();
-            const lfoGain = audioContext.createGain();
+            const carrier1 = context.createOscillator();
+            const carrier2 = context.createOscillator();
+            const carrier3 = context.createOscillator();
+            const modulator = context.createOscillator();
+            const modGain = context.createGain();
+            const mixer = context.createGain();
+            gainNode = context.createGain();
+            const filter1 = context.createBiquadFilter();
+            const filter2 = context.createBiquadFilter();
+            const distortion = createDistortion(55, context); // Reduced from 70 to prevent clipping
+            const compressor = context.createDynamicsCompressor();
+            const makeupGain = context.createGain();
+            lfo = context.createOscillator();
+            const lfoGain = context.createGain();
 
             // Classic Reese bass: multiple detuned sawtooth oscillators
             carrier1.type = 'sawtooth';
@@ -981,50 +940,43 @@ const soundCreators = {
             gainNode.gain.linearRampToValueAtTime(0.3, now + 0.1); // Increased from 0.22 - compressor prevents clipping
             gainNode.gain.setValueAtTime(0.3, now + 0.1); // Increased from 0.22 - compressor prevents clipping
 
-            gainNode.connect(masterGain);
+            gainNode.connect(destination);
 
-            carrier1.start();
-            carrier2.start();
-            carrier3.start();
-            modulator.start();
-            lfo.start();
+            carrier1.start(now);
+            carrier2.start(now);
+            carrier3.start(now);
+            modulator.start(now);
+            lfo.start(now);
             
             nodes = { carrier1, carrier2, carrier3, modulator, lfo, gainNode };
         };
         
-        const stop = () => {
+        const stop = (time) => {
             if (!gainNode) return;
-            const now = audioContext.currentTime;
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            const now = Math.max(context.currentTime, time || 0);
+            holdParam(gainNode.gain, now);
             gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-            setTimeout(() => {
-                if (nodes.carrier1) nodes.carrier1.stop();
-                if (nodes.carrier2) nodes.carrier2.stop();
-                if (nodes.carrier3) nodes.carrier3.stop();
-                if (nodes.modulator) nodes.modulator.stop();
-                if (nodes.lfo) nodes.lfo.stop();
-            }, 300);
+            if (nodes.carrier1) nodes.carrier1.stop(now + 0.3);
+            if (nodes.carrier2) nodes.carrier2.stop(now + 0.3);
+            if (nodes.carrier3) nodes.carrier3.stop(now + 0.3);
+            if (nodes.modulator) nodes.modulator.stop(now + 0.3);
+            if (nodes.lfo) nodes.lfo.stop(now + 0.3);
         };
         
-        const updatePitch = (pitchBendMultiplier) => {
+        const updatePitch = (pitchBendMultiplier, time) => {
             if (!nodes.carrier1 || !nodes.carrier2 || !nodes.carrier3 || !nodes.modulator) return;
-            const now = audioContext.currentTime;
+            const now = Math.max(context.currentTime, time || 0);
             const newCarrier1Freq = rootFrequency * pitchBendMultiplier;
             const newCarrier2Freq = newCarrier1Freq * 1.0055; // Maintain detune
             const newCarrier3Freq = newCarrier1Freq * 0.9945; // Maintain detune
             const newModulatorFreq = newCarrier1Freq * 2; // Maintain 2:1 ratio
-            nodes.carrier1.frequency.cancelScheduledValues(now);
-            nodes.carrier1.frequency.setValueAtTime(nodes.carrier1.frequency.value, now);
+            holdParam(nodes.carrier1.frequency, now);
             nodes.carrier1.frequency.linearRampToValueAtTime(newCarrier1Freq, now + 0.01);
-            nodes.carrier2.frequency.cancelScheduledValues(now);
-            nodes.carrier2.frequency.setValueAtTime(nodes.carrier2.frequency.value, now);
+            holdParam(nodes.carrier2.frequency, now);
             nodes.carrier2.frequency.linearRampToValueAtTime(newCarrier2Freq, now + 0.01);
-            nodes.carrier3.frequency.cancelScheduledValues(now);
-            nodes.carrier3.frequency.setValueAtTime(nodes.carrier3.frequency.value, now);
+            holdParam(nodes.carrier3.frequency, now);
             nodes.carrier3.frequency.linearRampToValueAtTime(newCarrier3Freq, now + 0.01);
-            nodes.modulator.frequency.cancelScheduledValues(now);
-            nodes.modulator.frequency.setValueAtTime(nodes.modulator.frequency.value, now);
+            holdParam(nodes.modulator.frequency, now);
             nodes.modulator.frequency.linearRampToValueAtTime(newModulatorFreq, now + 0.01);
         };
         
@@ -1058,6 +1010,9 @@ document.querySelectorAll('.sound-button').forEach(button => {
 
 // Expose functions globally for use in other scripts
 window.initGrowlAudioContext = initAudioContext;
+window.setGrowlOutput = setGrowlOutput;
 window.ensureGrowlMasterGain = ensureMasterGain;
 window.growlSoundCreators = soundCreators;
+window.createGrowlOutput = createGrowlOutput;
+window.setGrowlLFORate = setGrowlLFORate;
 
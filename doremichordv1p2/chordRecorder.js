@@ -0,0 +1,126 @@
+// Chord Recorder - turns chords played live into chord cells with automation
+// A chord held during recording remembers the step it started on (see DrumRecorder.locate),
+// its pitch bend and, when played in a note button's growl zone, the growl's LFO rate. On
+// release it becomes a chord { degree, length, bend?, growl? }, where the optional automation is
+//   bend: [[at, semitones], ...]
+//   growl: { type, lfo: [[at, rate in Hz], ...] }
+// and `at` is the time since the start of the chord's cell, in cells.
+class ChordRecorder {
+    static GROWL_TYPES = ['classic', 'wobble', 'roar', 'beast', 'sweep', 'stutter', 'deep', 'aggressive'];
+    static MAX_BEND = 2;            // Semitones either way
+    static MIN_LFO_RATE = 0.2;      // Hz, the range of the note buttons' growl zone
+    static MAX_LFO_RATE = 32;
+    static MAX_POINTS = 32;         // Automation points per chord
+    static POINT_SPACING = 0.1;     // Cells; closer changes replace the previous point
+
+    constructor() {
+        this.heldChords = {}; // noteKey -> { degree, start, growlType, moves: [{ time, semitones, lfoRate }] }
+    }
+
+    // start: the step the chord starts on and its time, { step, time }
+    press(noteKey, degree, start, growlType = null) {
+        this.heldChords[noteKey] = { degree, start, growlType, moves: [] };
+    }
+
+    isHolding(noteKey) {
+        return Object.prototype.hasOwnProperty.call(this.heldChords, noteKey);
+    }
+
+    // Pitch bend (semitones) and, for growls, LFO rate of a held chord at a time on the audio clock
+    move(noteKey, time, semitones, lfoRate) {
+        if (!this.isHolding(noteKey)) return;
+        this.heldChords[noteKey].moves.push({ time, semitones, lfoRate });
+    }
+
+    // Stop holding a chord released at `time`. Returns { start, chord } with the chord's length
+    // (at least one cell) and automation, or null if the chord was not held.
+    release(noteKey, time, cellDuration) {
+        if (!this.isHolding(noteKey)) return null;
+        const held = this.heldChords[noteKey];
+        delete this.heldChords[noteKey];
+
+        const getAt = moveTime => Math.max(0, (moveTime - held.start.time) / cellDuration);
+        const chord = {
+            degree: held.degree,
+            length: Math.max(1, Math.round(getAt(time)))
+        };
+        const bend = ChordRecorder.getPoints(held.moves.map(move => [getAt(move.time), move.semitones]));
+        if (bend.some(([, semitones]) => semitones !== 0)) {
+            chord.bend = bend;
+        }
+        if (held.growlType) {
+            const lfo = held.moves.filter(move => move.lfoRate !== undefined)
+                .map(move => [getAt(move.time), move.lfoRate]);
+            chord.growl = { type: held.growlType, lfo: ChordRecorder.getPoints(lfo) };
+        }
+        return { start: held.start, chord: ChordRecorder.sanitizeAutomation(chord) };
+    }
+
+    clear() {
+        this.heldChords = {};
+    }
+
+    // Automation points from raw [at, value] moves: values rounded to hundredths, repeated
+    // values dropped and at most MAX_POINTS points, at least POINT_SPACING apart
+    static getPoints(moves) {
+        const points = [];
+        moves.forEach(([at, value]) => {
+            const point = [Math.round(at * 100) / 100, Math.round(value * 100) / 100];
+            const last = points[points.length - 1];
+            if (last && last[1] === point[1]) return;
+            if (last && (point[0] - last[0] < ChordRecorder.POINT_SPACING || points.length === ChordRecorder.MAX_POINTS)) {
+                last[1] = point[1];
+            } else {
+                points.push(point);
+            }
+        });
+        return points;
+    }
+
+    // Return a copy of a chord whose automation is valid: invalid points are dropped and
+    // values clamped, an invalid growl is removed
+    static sanitizeAutomation(chord) {
+        const sanitizePoints = (points, min, max) => {
+            if (!Array.isArray(points)) return [];
+            return points.filter(point => Array.isArray(point) && point.length === 2
+                    && point.every(value => typeof value === 'number' && isFinite(value)) && point[0] >= 0)
+                .slice(0, ChordRecorder.MAX_POINTS)
+                .map(([at, value]) => [at, Math.max(min, Math.min(max, value))])
+                .sort((a, b) => a[0] - b[0]);
+        };
+        const { bend, growl, ...sanitized } = chord;
+        const bendPoints = sanitizePoints(bend, -ChordRecorder.MAX_BEND, ChordRecorder.MAX_BEND);
+        if (bendPoints.length > 0) {
+            sanitized.bend = bendPoints;
+        }
+        if (growl && ChordRecorder.GROWL_TYPES.includes(growl.type)) {
+            sanitized.growl = {
+                type: growl.type,
+                lfo: sanitizePoints(growl.lfo, ChordRecorder.MIN_LFO_RATE, ChordRecorder.MAX_LFO_RATE)
+            };
+        }
+        return sanitized;
+    }
+
+    // Copy of a chord with its automation stretched by a factor, for grids whose cells are
+    // shorter or longer (see Meter)
+    static scaleAutomation(chord, ratio) {
+        const scale = points => points.map(([at, value]) => [Math.round(at * ratio * 100) / 100, value]);
+        const scaled = ChordRecorder.sanitizeAutomation(chord);
+        if (scaled.bend) {
+            scaled.bend = scale(scaled.bend);
+        }
+        if (scaled.growl) {
+            scaled.growl.lfo = scale(scaled.growl.lfo);
+        }
+        return scaled;
+    }
+
+    // Pitch multiplier for a bend in semitones
+    static getBendMultiplier(semitones) {
+        return Math.pow(2, semitones / 12);
+    }
+}
+
+// Make ChordRecorder available globally
+window.ChordRecorder = ChordRecorder;
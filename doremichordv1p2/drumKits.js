@@ -0,0 +1,131 @@
+// Drum Kits - named sounds for all six drum voices
+// A kit is { name, params }, where params has the shape of SoundManager's parameter
+// overrides: { instrument name: { param: value } }, using the instruments' parameterNames
+// and, for the hi-hats, the HiHat.presets values (which include the reverb settings).
+// Built-in kits ship with the app; user kits are kept in KitStorage. Kits are exchanged as
+// JSON files: { format, version, kits: [{ name, params }] }.
+class DrumKits {
+    static FORMAT = 'doremichord-kits';
+    static VERSION = 1;
+    static MAX_NAME_LENGTH = 40;
+    static MAX_IMPORT_KITS = 100;
+
+    static BUILT_IN = {
+        '808': {
+            name: '808',
+            params: {
+                kick: { initialFreq: 120, freqDecay: 400, duration: 900, clickLevel: 4, clickDuration: 15, volume: 0.9 },
+                snare: { noiseLevel: 120, oscLevel: 140, thudLevel: 120, oscFreq: 240, duration: 180, volume: 0.8 },
+                hihat: { freq1: 7000, freq2: 9500, duration: 40, release: 25, filterFreq: 7000, filterQ: 1.5, volume: 0.25 },
+                clap: { spacing: 12, decay: 90, reverbDecay: 600, filterFreq: 1400, filterQ: 1.2, volume: 0.6 },
+                openHat: { ...HiHat.presets.open, noiseLevel: 70, brightness: 60, decay: 350, volume: 0.55 },
+                closedHat: { ...HiHat.presets.closed, noiseLevel: 70, brightness: 60, decay: 40, volume: 0.6 }
+            }
+        },
+        lofi: {
+            name: 'Lo-fi',
+            params: {
+                kick: { initialFreq: 180, freqDecay: 250, duration: 400, clickLevel: 25, clickDuration: 50, volume: 0.75 },
+                snare: { noiseLevel: 80, oscLevel: 90, thudLevel: 200, oscFreq: 150, duration: 120, volume: 0.7 },
+                hihat: { freq1: 4000, freq2: 5500, duration: 60, release: 40, filterFreq: 2500, filterQ: 0.7, volume: 0.2 },
+                clap: { spacing: 18, decay: 70, reverbDecay: 300, filterFreq: 1100, filterQ: 0.5, volume: 0.45 },
+                openHat: { ...HiHat.presets.open, noiseLevel: 40, brightness: 0, decay: 250, volume: 0.5, reverbGain: 0.15 },
+                closedHat: { ...HiHat.presets.closed, noiseLevel: 40, brightness: 0, decay: 30, volume: 0.5 }
+            }
+        },
+        tightAcoustic: {
+            name: 'Tight acoustic',
+            params: {
+                kick: { initialFreq: 260, freqDecay: 120, duration: 250, clickLevel: 45, clickDuration: 20, volume: 0.8 },
+                snare: { noiseLevel: 180, oscLevel: 80, thudLevel: 260, oscFreq: 200, duration: 140, volume: 0.9 },
+                hihat: { freq1: 9000, freq2: 12000, duration: 30, release: 15, filterFreq: 8000, filterQ: 2, volume: 0.3 },
+                clap: { spacing: 8, decay: 45, reverbDecay: 250, filterFreq: 2400, filterQ: 2, volume: 0.5 },
+                openHat: { ...HiHat.presets.open, brightness: 80, decay: 180, reverbRoomSize: 0.3, reverbGain: 0.1 },
+                closedHat: { ...HiHat.presets.closed, brightness: 80, decay: 25, reverbGain: 0.05 }
+            }
+        }
+    };
+
+    // Keep the numeric values of known instruments. Ranges are left to SoundManager, which
+    // clamps values to each instrument's parameterNames when playing.
+    static sanitizeParams(params) {
+        const sanitized = {};
+        SoundManager.INSTRUMENT_NAMES.forEach(name => {
+            const values = params && typeof params === 'object' && params[name];
+            if (!values || typeof values !== 'object' || Array.isArray(values)) return;
+            Object.keys(values).forEach(param => {
+                if (typeof values[param] !== 'number' || !isFinite(values[param])) return;
+                sanitized[name] = sanitized[name] || {};
+                sanitized[name][param] = values[param];
+            });
+        });
+        return sanitized;
+    }
+
+    // Return a valid kit { name, params } from possibly invalid saved or imported data, or null
+    static sanitize(kit) {
+        if (!kit || typeof kit !== 'object' || typeof kit.name !== 'string' || !kit.name.trim()) {
+            return null;
+        }
+        return {
+            name: kit.name.trim().slice(0, DrumKits.MAX_NAME_LENGTH),
+            params: DrumKits.sanitizeParams(kit.params)
+        };
+    }
+
+    // Whether two sets of parameters sound the same (key order does not matter)
+    static isSameParams(a, b) {
+        const names = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+        return Array.from(names).every(name => {
+            const valuesA = (a && a[name]) || {};
+            const valuesB = (b && b[name]) || {};
+            const params = Object.keys(valuesA);
+            return params.length === Object.keys(valuesB).length
+                && params.every(param => valuesA[param] === valuesB[param]);
+        });
+    }
+
+    // JSON file contents for a list of kits
+    static toJSON(kits) {
+        return JSON.stringify({
+            format: DrumKits.FORMAT,
+            version: DrumKits.VERSION,
+            kits: kits.map(kit => DrumKits.sanitize(kit)).filter(Boolean)
+        }, null, 2);
+    }
+
+    // Read the kits of a JSON file. Besides the format written by toJSON, a single kit or an
+    // array of kits is accepted. Entries need a name and a params object (which may be empty:
+    // the default sounds). Throws an Error with a readable message if there is no valid kit.
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (data && data.format === DrumKits.FORMAT && data.version > DrumKits.VERSION) {
+            throw new Error('The kits were saved by a newer version');
+        }
+
+        let entries;
+        if (Array.isArray(data)) {
+            entries = data;
+        } else if (data && Array.isArray(data.kits)) {
+            entries = data.kits;
+        } else {
+            entries = [data];
+        }
+        const kits = entries.slice(0, DrumKits.MAX_IMPORT_KITS)
+            .filter(entry => entry && typeof entry.params === 'object' && entry.params !== null)
+            .map(entry => DrumKits.sanitize(entry))
+            .filter(Boolean);
+        if (kits.length === 0) {
+            throw new Error('The file contains no drum kits');
+        }
+        return kits;
+    }
+}
+
+// Make DrumKits available globally
+window.DrumKits = DrumKits;
@@ -0,0 +1,63 @@
+// Drum Recorder - places drum pads played during playback onto the grid
+// The sequencer logs every step it schedules; a pad played at some time on the audio clock
+// goes to the nearest logged step. The quantize strength decides how much of the distance
+// to that step is removed: at 100% the hit sits on the step, below that it keeps part of
+// its timing as an offset (a fraction of a cell, see sanitizeOffset).
+class DrumRecorder {
+    static MODES = {
+        overdub: 'Overdub',   // Add to the pattern
+        replace: 'Replace'    // The first hit of an instrument in a take clears its part
+    };
+    static MAX_OFFSET = 0.5; // Hits never move more than half a cell off their step
+
+    constructor(options = {}) {
+        this.historyLength = options.historyLength || 64; // Scheduled steps to remember
+
+        // Settings
+        this.strength = 100;    // Quantize strength (0-100%)
+        this.mode = 'overdub';
+        this.latency = 0;       // Extra latency compensation on top of the audio output's (s)
+
+        this.stepLog = [];      // Recently scheduled steps: { time, step }
+    }
+
+    // Timing offset of a hit from possibly invalid saved data: a number of cells
+    // (-0.5 to 0.5, rounded to hundredths), or 0
+    static sanitizeOffset(offset) {
+        if (typeof offset !== 'number' || !isFinite(offset)) return 0;
+        const clamped = Math.max(-DrumRecorder.MAX_OFFSET, Math.min(DrumRecorder.MAX_OFFSET, offset));
+        return Math.round(clamped * 100) / 100;
+    }
+
+    // Remember a step scheduled at a time on the audio clock
+    logStep(time, step) {
+        this.stepLog.push({ time, step });
+        if (this.stepLog.length > this.historyLength) {
+            this.stepLog.shift();
+        }
+    }
+
+    clear() {
+        this.stepLog = [];
+    }
+
+    // The logged step nearest to a pad played at `time` on the audio clock (already corrected
+    // for latency): { step, time (of the step), offset (of the hit, in cells) }, or null if
+    // nothing was scheduled
+    locate(time, cellDuration) {
+        let nearest = null;
+        this.stepLog.forEach(entry => {
+            if (!nearest || Math.abs(entry.time - time) < Math.abs(nearest.time - time)) {
+                nearest = entry;
+            }
+        });
+        if (!nearest) return null;
+
+        const distance = (time - nearest.time) / cellDuration;
+        const offset = DrumRecorder.sanitizeOffset(distance * (1 - this.strength / 100));
+        return { step: nearest.step, time: nearest.time, offset };
+    }
+}
+
+// Make DrumRecorder available globally
+window.DrumRecorder = DrumRecorder;
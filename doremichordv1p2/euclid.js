@@ -0,0 +1,52 @@
+// Euclid - Euclidean rhythms: `hits` onsets spread as evenly as possible over `steps` steps,
+// e.g. 3 hits over 8 steps gives the tresillo x..x..x. A rotation moves the pattern to the
+// right by whole steps. The steps are spread evenly over a bar, so 8 steps on a 24-cell bar
+// fall on every third cell.
+class Euclid {
+    static MODES = {
+        replace: 'Replace',   // The instrument's existing hits in the bar are removed
+        merge: 'Merge'        // The pattern is added to the existing hits
+    };
+
+    // Return valid settings { hits, steps, rotation } for a bar with `cellsPerBar` cells
+    static sanitize(settings, cellsPerBar) {
+        const toInteger = (value, fallback) => Number.isInteger(value) ? value : fallback;
+        const steps = Math.max(1, Math.min(cellsPerBar, toInteger(settings.steps, cellsPerBar)));
+        return {
+            hits: Math.max(0, Math.min(steps, toInteger(settings.hits, 0))),
+            steps,
+            rotation: ((toInteger(settings.rotation, 0) % steps) + steps) % steps
+        };
+    }
+
+    // One boolean per step: whether it is a hit
+    static getPattern(hits, steps, rotation = 0) {
+        const pattern = [];
+        for (let step = 0; step < steps; step++) {
+            const unrotated = (step - rotation + steps) % steps;
+            pattern.push((unrotated * hits) % steps < hits);
+        }
+        return pattern;
+    }
+
+    // Play-order positions of the cells of a bar that a pattern's hits fall on
+    static getPositions(settings, cellsPerBar) {
+        const { hits, steps, rotation } = Euclid.sanitize(settings, cellsPerBar);
+        const positions = [];
+        Euclid.getPattern(hits, steps, rotation).forEach((isHit, step) => {
+            if (isHit) {
+                positions.push(Math.floor(step * cellsPerBar / steps));
+            }
+        });
+        return positions;
+    }
+
+    // Pattern as text for labels, e.g. "x..x..x."
+    static describe(settings, cellsPerBar) {
+        const { hits, steps, rotation } = Euclid.sanitize(settings, cellsPerBar);
+        return Euclid.getPattern(hits, steps, rotation).map(isHit => isHit ? 'x' : '.').join('');
+    }
+}
+
+// Make Euclid available globally
+window.Euclid = Euclid;
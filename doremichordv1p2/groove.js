@@ -0,0 +1,47 @@
+// Groove - swing and groove templates for the grid
+// Each count has one cell per subdivision of the grid resolution (see Meter), in play order:
+// the count itself, its "an" and (triplet resolution) its "and". A template delays each of
+// these by a fraction of a cell; the swing amount (0-100%) scales the template. Offsets stay
+// below one cell so steps never change order.
+class Groove {
+    static TEMPLATES = {
+        straight: { label: 'Straight', offsets: { triplet: [0, 0, 0], straight: [0, 0] } },
+        // Both off-beats late, the last one most
+        shuffle: { label: 'Shuffle', offsets: { triplet: [0, 0.3, 0.45], straight: [0, 0.33] } },
+        // Only the subdivision before the next count
+        mpc: { label: 'MPC swing', offsets: { triplet: [0, 0, 0.4], straight: [0, 0.25] } },
+        // Everything slightly behind the beat
+        laidBack: { label: 'Laid-back', offsets: { triplet: [0.08, 0.2, 0.2], straight: [0.08, 0.2] } }
+    };
+    static DEFAULT = { template: 'straight', amount: 50 };
+
+    static isTemplate(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(Groove.TEMPLATES, name);
+    }
+
+    // Return a valid groove { template, amount } from possibly invalid saved data, or null
+    static sanitize(groove) {
+        if (!groove || typeof groove !== 'object' || !Groove.isTemplate(groove.template)) {
+            return null;
+        }
+        const amount = typeof groove.amount === 'number' && isFinite(groove.amount) ? groove.amount : Groove.DEFAULT.amount;
+        return { template: groove.template, amount: Math.max(0, Math.min(100, Math.round(amount))) };
+    }
+
+    // Delay (in cells) of the step at a play-order position within its bar, for a grid
+    // resolution name (see Meter.RESOLUTIONS)
+    static getOffset(groove, position, resolution) {
+        const template = Groove.TEMPLATES[groove.template] || Groove.TEMPLATES.straight;
+        const offsets = template.offsets[resolution];
+        return offsets[position % offsets.length] * groove.amount / 100;
+    }
+
+    // Short description for labels, e.g. "Shuffle 60%"
+    static describe(groove) {
+        const template = Groove.TEMPLATES[groove.template] || Groove.TEMPLATES.straight;
+        return groove.template === 'straight' ? template.label : `${template.label} ${groove.amount}%`;
+    }
+}
+
+// Make Groove available globally
+window.Groove = Groove;
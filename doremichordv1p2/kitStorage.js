@@ -0,0 +1,57 @@
+// Kit Storage - named drum kits saved in localStorage
+// A kit is a set of drum parameter values, stored like SoundManager's parameter overrides:
+// { instrument name: { param: value } }. Kits are small, so they share one key.
+class KitStorage {
+    constructor(prefix = 'doremichord') {
+        this.kitsKey = `${prefix}.kits`;
+    }
+
+    // Read the saved kits: array of { id, name, params, updatedAt }
+    readKits() {
+        try {
+            const kits = JSON.parse(localStorage.getItem(this.kitsKey));
+            return Array.isArray(kits)
+                ? kits.filter(kit => kit && typeof kit.name === 'string' && kit.params && typeof kit.params === 'object')
+                : [];
+        } catch (error) {
+            console.warn('Saved kits are corrupted, starting with an empty list', error);
+            return [];
+        }
+    }
+
+    writeKits(kits) {
+        localStorage.setItem(this.kitsKey, JSON.stringify(kits));
+    }
+
+    // List kits by name
+    listKits() {
+        return this.readKits().sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getKit(id) {
+        return this.readKits().find(kit => kit.id === id) || null;
+    }
+
+    findKitByName(name) {
+        return this.readKits().find(kit => kit.name === name) || null;
+    }
+
+    // Save a kit under a name, replacing a kit of the same name. Returns the kit's id.
+    // Throws if storage is full (QuotaExceededError) so the caller can tell the user.
+    saveKit(name, params) {
+        const existing = this.findKitByName(name);
+        const id = existing ? existing.id : Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        const kits = this.readKits().filter(kit => kit.id !== id);
+        kits.push({ id, name, params: JSON.parse(JSON.stringify(params)), updatedAt: Date.now() });
+        this.writeKits(kits);
+        return id;
+    }
+
+    deleteKit(id) {
+        this.writeKits(this.readKits().filter(kit => kit.id !== id));
+    }
+}
+
+// Create global kit storage instance
+const kitStorage = new KitStorage();
+window.kitStorage = kitStorage;
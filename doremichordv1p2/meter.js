@@ -0,0 +1,96 @@
+// Meter - time signature and grid resolution of a project
+// The grid counts in eighth notes, and each count is split into cells: three for the triplet
+// resolution ("1, 1an, 1and"), two for straight 16ths ("1, 1an"). Counts are laid out in
+// groups: one grid section per group, with a column per count and a row per cell of a count.
+// Cells are stored in layout order (group by group, row by row), which is not play order.
+class Meter {
+    static TIME_SIGNATURES = {
+        '4/4': { numerator: 4, denominator: 4, groups: [4, 4] },
+        '3/4': { numerator: 3, denominator: 4, groups: [3, 3] },
+        '5/4': { numerator: 5, denominator: 4, groups: [4, 4, 2] },
+        '6/8': { numerator: 6, denominator: 8, groups: [3, 3] },
+        '7/8': { numerator: 7, denominator: 8, groups: [4, 3] }
+    };
+    static RESOLUTIONS = {
+        triplet: { label: 'Triplet', cellsPerCount: 3, suffixes: ['', 'an', 'and'] },
+        straight: { label: 'Straight 16ths', cellsPerCount: 2, suffixes: ['', 'an'] }
+    };
+    static COUNTS_PER_QUARTER = 2;
+    static DEFAULT = { timeSignature: '4/4', resolution: 'triplet' };
+
+    static isTimeSignature(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(Meter.TIME_SIGNATURES, name);
+    }
+
+    static isResolution(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(Meter.RESOLUTIONS, name);
+    }
+
+    // Return a valid meter { timeSignature, resolution } from possibly invalid saved data, or null
+    static sanitize(meter) {
+        if (!meter || typeof meter !== 'object'
+            || !Meter.isTimeSignature(meter.timeSignature) || !Meter.isResolution(meter.resolution)) {
+            return null;
+        }
+        return { timeSignature: meter.timeSignature, resolution: meter.resolution };
+    }
+
+    static getCellsPerCount(meter) {
+        return Meter.RESOLUTIONS[meter.resolution].cellsPerCount;
+    }
+
+    static getCellsPerQuarter(meter) {
+        return Meter.COUNTS_PER_QUARTER * Meter.getCellsPerCount(meter);
+    }
+
+    static getCountsPerBar(meter) {
+        return Meter.TIME_SIGNATURES[meter.timeSignature].groups.reduce((sum, counts) => sum + counts, 0);
+    }
+
+    static getCellsPerBar(meter) {
+        return Meter.getCountsPerBar(meter) * Meter.getCellsPerCount(meter);
+    }
+
+    // Layout of a bar, indexed by storage index:
+    // { group, row, column, count (0-based in the bar), position (in play order), label }
+    static getLayout(meter) {
+        const cellsPerCount = Meter.getCellsPerCount(meter);
+        const suffixes = Meter.RESOLUTIONS[meter.resolution].suffixes;
+        const layout = [];
+        let firstCount = 0;
+        Meter.TIME_SIGNATURES[meter.timeSignature].groups.forEach((counts, group) => {
+            for (let row = 0; row < cellsPerCount; row++) {
+                for (let column = 0; column < counts; column++) {
+                    const count = firstCount + column;
+                    layout.push({
+                        group,
+                        row,
+                        column,
+                        count,
+                        position: count * cellsPerCount + row,
+                        label: `${count + 1}${suffixes[row]}`
+                    });
+                }
+            }
+            firstCount += counts;
+        });
+        return layout;
+    }
+
+    // Storage indices of a bar's cells in play order
+    static getCellOrder(meter) {
+        const order = [];
+        Meter.getLayout(meter).forEach((cell, cellIndex) => {
+            order[cell.position] = cellIndex;
+        });
+        return order;
+    }
+
+    // Short description, e.g. "7/8 · Straight 16ths"
+    static describe(meter) {
+        return `${meter.timeSignature} · ${Meter.RESOLUTIONS[meter.resolution].label}`;
+    }
+}
+
+// Make Meter available globally
+window.Meter = Meter;
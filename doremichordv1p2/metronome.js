@@ -0,0 +1,102 @@
+// Metronome - click track on the sequencer clock
+// Clicks fall on the beats of the time signature (notes of its denominator) or on every 8th
+// or 8th-note triplet. The first beat of a bar is accented and subdivisions are softer.
+// The click has its own output and volume, apart from the drums and chords.
+class Metronome {
+    static SUBDIVISIONS = {
+        beats: { label: 'Beats', clicksPerQuarter: null },   // One click per beat
+        eighths: { label: '8ths', clicksPerQuarter: 2 },
+        triplets: { label: 'Triplets', clicksPerQuarter: 3 }
+    };
+    static LEVELS = {
+        accent: { frequency: 1760, gain: 1 },
+        beat: { frequency: 880, gain: 0.7 },
+        subdivision: { frequency: 880, gain: 0.3 }
+    };
+    // General MIDI level 2 percussion: Metronome Bell for the downbeat, Metronome Click otherwise
+    static MIDI_NOTES = { accent: 34, beat: 33, subdivision: 33 };
+    static MIDI_VELOCITIES = { accent: 127, beat: 100, subdivision: 60 };
+    static CLICK_LENGTH = 0.03; // s
+    static EPSILON = 1e-6;      // Click positions may fall between cells (triplets on a straight grid)
+
+    constructor() {
+        this.audioContext = null;
+        this.output = null;
+        this.volume = 0.5;          // 0-1
+        this.muted = true;          // The click is off until switched on
+        this.subdivision = 'beats';
+    }
+
+    // Length of a beat in cells
+    static getBeatCells(meter) {
+        return Meter.getCellsPerQuarter(meter) * 4 / Meter.TIME_SIGNATURES[meter.timeSignature].denominator;
+    }
+
+    // Clicks of a bar as [{ position (in cells from the start of the bar), level }]
+    static getBarClicks(meter, subdivision) {
+        const cellsPerQuarter = Meter.getCellsPerQuarter(meter);
+        const cellsPerBar = Meter.getCellsPerBar(meter);
+        const beatCells = Metronome.getBeatCells(meter);
+        const clicksPerQuarter = Metronome.SUBDIVISIONS[subdivision].clicksPerQuarter;
+        const clickCells = clicksPerQuarter ? cellsPerQuarter / clicksPerQuarter : beatCells;
+
+        const clicks = [];
+        for (let click = 0; click * clickCells < cellsPerBar - Metronome.EPSILON; click++) {
+            const position = click * clickCells;
+            const beatPosition = position / beatCells;
+            let level = 'subdivision';
+            if (position === 0) {
+                level = 'accent';
+            } else if (Math.abs(beatPosition - Math.round(beatPosition)) < Metronome.EPSILON) {
+                level = 'beat';
+            }
+            clicks.push({ position, level });
+        }
+        return clicks;
+    }
+
+    // Clicks within the cell at a play-order position of a bar, as [{ at (cells after the
+    // start of the cell), level }]
+    static getCellClicks(meter, subdivision, position) {
+        return Metronome.getBarClicks(meter, subdivision)
+            .filter(click => click.position > position - Metronome.EPSILON && click.position < position + 1 - Metronome.EPSILON)
+            .map(click => ({ at: Math.max(0, click.position - position), level: click.level }));
+    }
+
+    // options: { audioContext, destination } (e.g. for offline rendering)
+    init(options = {}) {
+        this.audioContext = options.audioContext;
+        this.output = this.audioContext.createGain();
+        this.output.gain.value = this.volume;
+        this.output.connect(options.destination || this.audioContext.destination);
+    }
+
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        if (this.output) {
+            this.output.gain.value = this.volume;
+        }
+    }
+
+    // Play one click at a time on the audio clock. Muting is left to the caller, since the
+    // count-in clicks even when the metronome is off.
+    playClick(time, level) {
+        if (!this.output) return;
+        const { frequency, gain } = Metronome.LEVELS[level] || Metronome.LEVELS.beat;
+        const start = Math.max(this.audioContext.currentTime, time);
+
+        const oscillator = this.audioContext.createOscillator();
+        const envelope = this.audioContext.createGain();
+        oscillator.type = 'square';
+        oscillator.frequency.value = frequency;
+        envelope.gain.setValueAtTime(gain, start);
+        envelope.gain.exponentialRampToValueAtTime(0.001, start + Metronome.CLICK_LENGTH);
+        oscillator.connect(envelope);
+        envelope.connect(this.output);
+        oscillator.start(start);
+        oscillator.stop(start + Metronome.CLICK_LENGTH);
+    }
+}
+
+// Make Metronome available globally
+window.Metronome = Metronome;
@@ -0,0 +1,293 @@
+// MIDI File Module - Standard MIDI File (SMF) writer and reader
+// Tracks are plain arrays of events with absolute tick positions:
+//   { tick, type: 'noteOn', channel, note, velocity }
+//   { tick, type: 'noteOff', channel, note }
+//   { tick, type: 'tempo', bpm }
+//   { tick, type: 'timeSignature', numerator, denominator }
+//   { tick, type: 'trackName', text }
+// Channels are 0-based (General MIDI drums are channel 9, i.e. MIDI channel 10).
+class MidiFile {
+    static DEFAULT_PPQ = 480;
+    static DRUM_CHANNEL = 9;
+
+    // Convert a frequency in Hz to the nearest MIDI note number (A4 = 440 Hz = 69)
+    static frequencyToNote(frequency) {
+        return Math.round(69 + 12 * Math.log2(frequency / 440));
+    }
+
+    // Encode tracks into a format 1 Standard MIDI File. Returns a Uint8Array.
+    static write(tracks, ppq = MidiFile.DEFAULT_PPQ) {
+        const bytes = [];
+
+        // Header chunk: format 1, track count, ticks per quarter note
+        MidiFile.pushString(bytes, 'MThd');
+        MidiFile.pushUint32(bytes, 6);
+        MidiFile.pushUint16(bytes, 1);
+        MidiFile.pushUint16(bytes, tracks.length);
+        MidiFile.pushUint16(bytes, ppq);
+
+        tracks.forEach(events => {
+            const trackBytes = MidiFile.encodeTrack(events);
+            MidiFile.pushString(bytes, 'MTrk');
+            MidiFile.pushUint32(bytes, trackBytes.length);
+            trackBytes.forEach(b => bytes.push(b));
+        });
+
+        return new Uint8Array(bytes);
+    }
+
+    static encodeTrack(events) {
+        const bytes = [];
+        let lastTick = 0;
+
+        MidiFile.sortEvents(events).forEach(event => {
+            const tick = Math.max(0, Math.round(event.tick));
+            MidiFile.pushVarLength(bytes, tick - lastTick);
+            lastTick = tick;
+            MidiFile.encodeEvent(bytes, event);
+        });
+
+        // End of track
+        MidiFile.pushVarLength(bytes, 0);
+        bytes.push(0xFF, 0x2F, 0x00);
+        return bytes;
+    }
+
+    // Sort by tick; at the same tick meta events come first and note-offs precede note-ons,
+    // so a note ending exactly where the same note starts again is not cut short
+    static sortEvents(events) {
+        const priority = { trackName: 0, tempo: 0, timeSignature: 0, noteOff: 1, noteOn: 2 };
+        return events
+            .map((event, order) => ({ event, order }))
+            .sort((a, b) => (a.event.tick - b.event.tick)
+                || (priority[a.event.type] - priority[b.event.type])
+                || (a.order - b.order))
+            .map(({ event }) => event);
+    }
+
+    static encodeEvent(bytes, event) {
+        const clamp7 = value => Math.max(0, Math.min(127, Math.round(value)));
+
+        switch (event.type) {
+            case 'noteOn':
+                bytes.push(0x90 | (event.channel & 0x0F), clamp7(event.note), clamp7(event.velocity));
+                break;
+            case 'noteOff':
+                bytes.push(0x80 | (event.channel & 0x0F), clamp7(event.note), 0);
+                break;
+            case 'tempo': {
+                const microsecondsPerQuarter = Math.round(60000000 / event.bpm);
+                bytes.push(0xFF, 0x51, 0x03,
+                    (microsecondsPerQuarter >> 16) & 0xFF,
+                    (microsecondsPerQuarter >> 8) & 0xFF,
+                    microsecondsPerQuarter & 0xFF);
+                break;
+            }
+            case 'timeSignature':
+                // Denominator is stored as a power of two; 24 clocks per click, 8 32nds per quarter
+                bytes.push(0xFF, 0x58, 0x04, event.numerator, Math.round(Math.log2(event.denominator)), 24, 8);
+                break;
+            case 'trackName': {
+                const text = Array.from(new TextEncoder().encode(event.text));
+                bytes.push(0xFF, 0x03);
+                MidiFile.pushVarLength(bytes, text.length);
+                text.forEach(b => bytes.push(b));
+                break;
+            }
+            default:
+                console.warn('Unknown MIDI event type:', event.type);
+        }
+    }
+
+    // Decode a Standard MIDI File (format 0 or 1) into { format, ppq, tracks } using the
+    // event shapes above. Other channel messages, sysex and unknown meta events are skipped.
+    // Throws an Error with a readable message if the file is not a valid MIDI file.
+    static read(arrayBuffer) {
+        const data = new DataView(arrayBuffer);
+        let offset = 0;
+
+        const readString = (length) => {
+            let text = '';
+            for (let i = 0; i < length; i++) {
+                text += String.fromCharCode(data.getUint8(offset + i));
+            }
+            offset += length;
+            return text;
+        };
+
+        if (data.byteLength < 14 || readString(4) !== 'MThd') {
+            throw new Error('Not a MIDI file (missing MThd header)');
+        }
+        const headerLength = data.getUint32(offset);
+        const format = data.getUint16(offset + 4);
+        const trackCount = data.getUint16(offset + 6);
+        const division = data.getUint16(offset + 8);
+        offset += 4 + headerLength;
+
+        if (format > 1) {
+            throw new Error(`MIDI format ${format} is not supported`);
+        }
+        if (division & 0x8000) {
+            throw new Error('SMPTE time division is not supported');
+        }
+        if (division === 0) {
+            throw new Error('Invalid MIDI file (the time division is 0)');
+        }
+
+        const tracks = [];
+        for (let t = 0; t < trackCount && offset + 8 <= data.byteLength; t++) {
+            const chunkType = readString(4);
+            const chunkLength = data.getUint32(offset);
+            offset += 4;
+            const chunkEnd = Math.min(offset + chunkLength, data.byteLength);
+
+            if (chunkType === 'MTrk') {
+                tracks.push(MidiFile.decodeTrack(data, offset, chunkEnd));
+            }
+            offset = chunkEnd;
+        }
+
+        return { format, ppq: division, tracks };
+    }
+
+    // Throws an Error with a readable message if an event runs past the end of the track
+    // (e.g. in a truncated file)
+    static decodeTrack(data, start, end) {
+        const events = [];
+        let offset = start;
+        let tick = 0;
+        let runningStatus = null;
+
+        const truncated = () => {
+            throw new Error('Invalid MIDI file (a track ends in the middle of an event)');
+        };
+        const readByte = () => {
+            if (offset >= end) truncated();
+            return data.getUint8(offset++);
+        };
+        // Variable-length quantities have at most 4 bytes
+        const readVarLength = () => {
+            let value = 0;
+            for (let i = 0; i < 4; i++) {
+                const b = readByte();
+                value = (value << 7) | (b & 0x7F);
+                if (!(b & 0x80)) return value;
+            }
+            throw new Error('Invalid MIDI track data');
+        };
+        const skip = (length) => {
+            if (offset + length > end) truncated();
+            offset += length;
+        };
+
+        while (offset < end) {
+            tick += readVarLength();
+            if (offset >= end) truncated();
+            let status = data.getUint8(offset);
+
+            if (status & 0x80) {
+                offset++;
+            } else if (runningStatus !== null) {
+                // Running status: reuse the previous channel message status
+                status = runningStatus;
+            } else {
+                throw new Error('Invalid MIDI track data');
+            }
+
+            if (status === 0xFF) {
+                // Meta event
+                const metaType = readByte();
+                const length = readVarLength();
+                const metaStart = offset;
+                skip(length);
+
+                if (metaType === 0x51 && length === 3) {
+                    const microsecondsPerQuarter = (data.getUint8(metaStart) << 16)
+                        | (data.getUint8(metaStart + 1) << 8) | data.getUint8(metaStart + 2);
+                    if (microsecondsPerQuarter > 0) {
+                        events.push({ tick, type: 'tempo', bpm: 60000000 / microsecondsPerQuarter });
+                    }
+                } else if (metaType === 0x58 && length >= 2) {
+                    events.push({
+                        tick,
+                        type: 'timeSignature',
+                        numerator: data.getUint8(metaStart),
+                        denominator: Math.pow(2, data.getUint8(metaStart + 1))
+                    });
+                } else if (metaType === 0x03) {
+                    const text = new Uint8Array(data.buffer, data.byteOffset + metaStart, length);
+                    events.push({ tick, type: 'trackName', text: new TextDecoder().decode(text) });
+                } else if (metaType === 0x2F) {
+                    break; // End of track
+                }
+            } else if (status === 0xF0 || status === 0xF7) {
+                // Sysex: skip
+                skip(readVarLength());
+            } else {
+                runningStatus = status;
+                const type = status & 0xF0;
+                const channel = status & 0x0F;
+                const dataLength = (type === 0xC0 || type === 0xD0) ? 1 : 2;
+                const data1 = readByte();
+                const data2 = dataLength === 2 ? readByte() : 0;
+
+                if (type === 0x90 && data2 > 0) {
+                    events.push({ tick, type: 'noteOn', channel, note: data1, velocity: data2 });
+                } else if (type === 0x80 || type === 0x90) {
+                    // Note-on with velocity 0 is a note-off
+                    events.push({ tick, type: 'noteOff', channel, note: data1 });
+                }
+            }
+        }
+
+        return events;
+    }
+
+    // Pair note-on/note-off events of all tracks into notes: { tick, duration, channel, note, velocity }
+    static collectNotes(tracks) {
+        const notes = [];
+        tracks.forEach(events => {
+            const openNotes = {}; // "channel:note" -> stack of started notes
+            events.forEach(event => {
+                const id = `${event.channel}:${event.note}`;
+                if (event.type === 'noteOn') {
+                    const note = { tick: event.tick, duration: 0, channel: event.channel, note: event.note, velocity: event.velocity };
+                    (openNotes[id] = openNotes[id] || []).push(note);
+                    notes.push(note);
+                } else if (event.type === 'noteOff' && openNotes[id] && openNotes[id].length > 0) {
+                    const note = openNotes[id].shift();
+                    note.duration = event.tick - note.tick;
+                }
+            });
+        });
+        return notes.sort((a, b) => a.tick - b.tick);
+    }
+
+    static pushString(bytes, text) {
+        for (let i = 0; i < text.length; i++) {
+            bytes.push(text.charCodeAt(i));
+        }
+    }
+
+    static pushUint32(bytes, value) {
+        bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+    }
+
+    static pushUint16(bytes, value) {
+        bytes.push((value >>> 8) & 0xFF, value & 0xFF);
+    }
+
+    // Variable-length quantity: 7 bits per byte, high bit set on all but the last byte
+    static pushVarLength(bytes, value) {
+        const groups = [value & 0x7F];
+        value >>>= 7;
+        while (value > 0) {
+            groups.unshift((value & 0x7F) | 0x80);
+            value >>>= 7;
+        }
+        groups.forEach(b => bytes.push(b));
+    }
+}
+
+// Make MidiFile available globally
+window.MidiFile = MidiFile;
@@ -0,0 +1,134 @@
+// Mixer - a channel strip per instrument between the instruments and the master bus
+// Each strip is input -> duck -> pan -> fader -> destination, with an analyser after the
+// fader for its peak meter. The duck gain is left to the sidechain (see Sidechain). A strip
+// is silent when it is muted, or when other strips are soloed and it is not. Settings are
+// plain data, { channel: { gain, pan, mute, solo } }, so they can be saved with a project
+// and copied to the mixer of an offline render.
+class Mixer {
+    // Channel ids: the drum instrument names of SoundManager, then the chord engine's parts
+    // and the growl bass
+    static CHANNELS = {
+        kick: 'Kick',
+        snare: 'Snare',
+        hihat: 'Pin',
+        clap: 'Clap',
+        openHat: 'Open hat',
+        closedHat: 'Closed hat',
+        chords: 'Chords',
+        subBass: 'Sub bass',
+        growl: 'Growl'
+    };
+    static MAX_GAIN = 2;    // +6 dB
+    static DEFAULT_STRIP = { gain: 1, pan: 0, mute: false, solo: false };
+
+    constructor() {
+        this.audioContext = null;
+        this.strips = {};   // channel -> { input, duck, panner, fader, analyser }
+        this.settings = Mixer.sanitize({});
+        this.meterData = null;
+    }
+
+    // Settings for every channel from possibly invalid saved data: gain 0-MAX_GAIN, pan -1-1
+    static sanitize(settings) {
+        const sanitized = {};
+        Object.keys(Mixer.CHANNELS).forEach(channel => {
+            const strip = (settings && typeof settings[channel] === 'object' && settings[channel]) || {};
+            const toNumber = (value, fallback) => typeof value === 'number' && isFinite(value) ? value : fallback;
+            sanitized[channel] = {
+                gain: Math.max(0, Math.min(Mixer.MAX_GAIN, toNumber(strip.gain, Mixer.DEFAULT_STRIP.gain))),
+                pan: Math.max(-1, Math.min(1, toNumber(strip.pan, Mixer.DEFAULT_STRIP.pan))),
+                mute: strip.mute === true,
+                solo: strip.solo === true
+            };
+        });
+        return sanitized;
+    }
+
+    // options: { audioContext, destination } (see AudioEngine.getOutput)
+    init(options = {}) {
+        this.audioContext = options.audioContext;
+        Object.keys(Mixer.CHANNELS).forEach(channel => {
+            const input = this.audioContext.createGain();
+            const duck = this.audioContext.createGain();
+            const panner = this.audioContext.createStereoPanner();
+            const fader = this.audioContext.createGain();
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = 1024;
+
+            input.connect(duck);
+            duck.connect(panner);
+            panner.connect(fader);
+            fader.connect(options.destination || this.audioContext.destination);
+            fader.connect(analyser);
+            this.strips[channel] = { input, duck, panner, fader, analyser };
+        });
+        this.meterData = new Float32Array(1024);
+        this.applySettings(true);
+    }
+
+    // The node an instrument of a channel plays into
+    getInput(channel) {
+        return this.strips[channel] ? this.strips[channel].input : null;
+    }
+
+    // The gain the sidechain ducks a channel with
+    getDuckGain(channel) {
+        return this.strips[channel] ? this.strips[channel].duck.gain : null;
+    }
+
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    setSettings(settings) {
+        this.settings = Mixer.sanitize(settings);
+        this.applySettings();
+    }
+
+    // Change some of a strip's settings, e.g. setStrip('kick', { mute: true })
+    setStrip(channel, changes) {
+        if (!this.settings[channel]) return;
+        this.setSettings({ ...this.settings, [channel]: { ...this.settings[channel], ...changes } });
+    }
+
+    // Whether a channel is heard, given the mutes and solos of all strips
+    isAudible(channel) {
+        const anySolo = Object.keys(this.settings).some(name => this.settings[name].solo);
+        const strip = this.settings[channel];
+        return !strip.mute && (!anySolo || strip.solo);
+    }
+
+    // immediate: set the levels at once (when setting up) instead of with a short ramp,
+    // which avoids clicks when moving a fader or muting during playback
+    applySettings(immediate = false) {
+        if (!this.audioContext) return;
+        const now = this.audioContext.currentTime;
+        Object.keys(this.strips).forEach(channel => {
+            const { panner, fader } = this.strips[channel];
+            const gain = this.isAudible(channel) ? this.settings[channel].gain : 0;
+            const pan = this.settings[channel].pan;
+            if (immediate) {
+                fader.gain.value = gain;
+                panner.pan.value = pan;
+            } else {
+                fader.gain.setTargetAtTime(gain, now, 0.01);
+                panner.pan.setTargetAtTime(pan, now, 0.01);
+            }
+        });
+    }
+
+    // Current peak level of a channel after its fader (1 = full scale)
+    getPeak(channel) {
+        const strip = this.strips[channel];
+        if (!strip) return 0;
+        strip.analyser.getFloatTimeDomainData(this.meterData);
+        let peak = 0;
+        for (let i = 0; i < this.meterData.length; i++) {
+            peak = Math.max(peak, Math.abs(this.meterData[i]));
+        }
+        return peak;
+    }
+}
+
+// Make Mixer available globally
+window.Mixer = Mixer;
@@ -79,6 +79,7 @@ class MusicSoundManager {
         // WaterSynth instance
         this.waterSynth = null;
         this.audioContext = null;
+        this.subBassDestination = null;
         
         // Active notes/chords tracking
         this.activeNotes = {}; // key -> array of {oscillator, gainNode, baseFrequency}
@@ -92,15 +93,21 @@ class MusicSoundManager {
         this.initialized = false;
     }
 
-    init() {
+    // options: { audioContext, destination } passed to WaterSynth (e.g. for offline rendering);
+    // by default it plays on the shared engine (see audioEngine.js).
+    // options.subBassDestination: a separate output for the sub bass (e.g. a mixer strip),
+    // which otherwise plays through the WaterSynth with the chords
+    init(options = {}) {
         if (this.initialized) return;
         
         // Initialize WaterSynth (check both window.WaterSynth and global WaterSynth)
         const WaterSynthClass = window.WaterSynth || (typeof WaterSynth !== 'undefined' ? WaterSynth : null);
         
         if (WaterSynthClass) {
-            this.waterSynth = new WaterSynthClass();
+            const { subBassDestination, ...output } = options;
+            this.waterSynth = new WaterSynthClass(output);
             this.audioContext = this.waterSynth.audioContext;
+            this.subBassDestination = subBassDestination || this.waterSynth.masterGain;
             console.log('WaterSynth initialized');
         } else {
             console.error('WaterSynth class not found. Make sure ss_watersynth.js is loaded before musicSoundManager.js');
@@ -215,9 +222,19 @@ class MusicSoundManager {
         return frequencies;
     }
 
+    // Chord frequencies for a scale degree in the current key and harmonic mode
+    getChordFrequencies(noteIndex) {
+        return this.buildChordFrequencies(noteIndex, this.getExtensionsForCurrentMode(noteIndex));
+    }
+
+    // Sub bass frequency for a scale degree (root one octave lower)
+    getBassFrequency(noteIndex) {
+        return this.getScaleNoteFrequency(noteIndex, 0) / 2;
+    }
+
     // Create sub bass (pure sine wave)
-    createSubBass(frequency) {
-        const now = this.audioContext.currentTime;
+    createSubBass(frequency, startTime) {
+        const now = Math.max(this.audioContext.currentTime, startTime || 0);
         
         const osc = this.audioContext.createOscillator();
         osc.type = 'sine';
@@ -232,11 +249,11 @@ class MusicSoundManager {
         gain.gain.exponentialRampToValueAtTime(1.1, now + 0.2);
         
         osc.connect(gain);
-        gain.connect(this.waterSynth.masterGain);
+        gain.connect(this.subBassDestination);
         
         osc.start(now);
         
-        return { oscillator: osc, gainNode: gain, baseFrequency: frequency };
+        return { oscillator: osc, gainNode: gain, baseFrequency: frequency, sustainLevel: 1.1 };
     }
 
     // Calculate frequency-based gain (pink noise distribution)
@@ -246,34 +263,38 @@ class MusicSoundManager {
         return baseGain * gainMultiplier;
     }
 
-    // Resume audio context
+    // Resume audio context (offline contexts are started by startRendering instead)
     resumeAudioContext() {
-        if (this.audioContext && this.audioContext.state === 'suspended') {
+        const isOffline = window.OfflineAudioContext && this.audioContext instanceof OfflineAudioContext;
+        if (this.audioContext && this.audioContext.state === 'suspended' && !isOffline) {
             this.audioContext.resume();
         }
     }
 
     // Start a chord (Jazz79)
-    startChord(noteIndex, noteKey) {
-        if (!this.initialized) this.init();
+    // startTime: when the chord starts on the AudioContext clock (defaults to now)
+    startChord(noteIndex, noteKey, startTime) {
+        // Creating the shared context may set the WaterSynth up with its outputs already
+        // (see AudioEngine.onCreate)
+        if (!this.initialized) {
+            audioEngine.getContext();
+            this.init();
+        }
         this.resumeAudioContext();
         
         // Stop existing chord if any
         if (this.activeNotes[noteKey]) {
-            this.stopChord(this.activeNotes[noteKey]);
+            this.stopChord(this.activeNotes[noteKey], startTime);
         }
         
-        // Get extensions based on current harmonic mode
-        const extensions = this.getExtensionsForCurrentMode(noteIndex);
-        
-        // Build chord frequencies
-        const frequencies = this.buildChordFrequencies(noteIndex, extensions);
+        // Build chord frequencies (extensions based on current harmonic mode)
+        const frequencies = this.getChordFrequencies(noteIndex);
         
         const oscillators = [];
         
         // Play each frequency in the chord
         frequencies.forEach((frequency, i) => {
-            const noteComponents = this.waterSynth.createSustainedNote(frequency);
+            const noteComponents = this.waterSynth.createSustainedNote(frequency, undefined, undefined, startTime);
             noteComponents.baseFrequency = frequency;
             
             // Minimal panning for chords
@@ -281,7 +302,7 @@ class MusicSoundManager {
             noteComponents.panNode.pan.value = Math.max(-1, Math.min(1, panValue));
             
             // Apply frequency-based gain
-            const now = this.audioContext.currentTime;
+            const now = Math.max(this.audioContext.currentTime, startTime || 0);
             const baseGain = 0.35;
             const frequencyGain = this.getFrequencyBasedGain(frequency, baseGain);
             
@@ -290,15 +311,15 @@ class MusicSoundManager {
             noteComponents.gainNode.gain.linearRampToValueAtTime(frequencyGain * 0.8, now + 0.02);
             noteComponents.gainNode.gain.linearRampToValueAtTime(frequencyGain, now + 0.03);
             noteComponents.gainNode.gain.exponentialRampToValueAtTime(frequencyGain * 0.85, now + 0.15);
+            noteComponents.sustainLevel = frequencyGain * 0.85;
             
             oscillators.push(noteComponents);
         });
         
         // Add bass note if bass mode is on
         if (this.bassMode) {
-            const rootFreq = this.getScaleNoteFrequency(noteIndex, 0);
-            const bassFrequency = rootFreq / 2; // One octave lower
-            const bassComponents = this.createSubBass(bassFrequency);
+            const bassFrequency = this.getBassFrequency(noteIndex); // One octave lower
+            const bassComponents = this.createSubBass(bassFrequency, startTime);
             oscillators.push(bassComponents);
         }
         
@@ -309,40 +330,51 @@ class MusicSoundManager {
     }
 
     // Stop a chord
-    stopChord(oscillators) {
+    // stopTime: when the release starts on the AudioContext clock (defaults to now)
+    stopChord(oscillators, stopTime) {
         const RELEASE_TIME = 0.2;
-        const now = this.audioContext.currentTime;
+        const currentTime = this.audioContext.currentTime;
+        const now = Math.max(currentTime, stopTime || 0);
         
-        oscillators.forEach(({ oscillator, gainNode }) => {
+        oscillators.forEach(({ oscillator, gainNode, sustainLevel }) => {
+            // A release scheduled in the future starts from the sustain level, since the
+            // current gain value is not yet the value at that time
+            const releaseFrom = now > currentTime && sustainLevel ? sustainLevel : gainNode.gain.value;
             gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            gainNode.gain.setValueAtTime(releaseFrom, now);
             gainNode.gain.exponentialRampToValueAtTime(0.001, now + RELEASE_TIME);
             oscillator.stop(now + RELEASE_TIME);
         });
     }
 
     // Stop a note by key
-    stopNoteByKey(noteKey) {
+    stopNoteByKey(noteKey, stopTime) {
         if (this.activeNotes[noteKey]) {
-            this.stopChord(this.activeNotes[noteKey]);
+            this.stopChord(this.activeNotes[noteKey], stopTime);
             delete this.activeNotes[noteKey];
         }
     }
 
     // Update pitch bend for a note/chord
-    updatePitchBend(noteKey, pitchBendMultiplier) {
+    // time: when the bend happens on the AudioContext clock (defaults to now)
+    updatePitchBend(noteKey, pitchBendMultiplier, time) {
         if (!this.activeNotes[noteKey]) return;
         
-        const now = this.audioContext.currentTime;
+        const currentTime = this.audioContext.currentTime;
+        const now = Math.max(currentTime, time || 0);
         const oscillators = this.activeNotes[noteKey];
         
         oscillators.forEach(comp => {
             if (!comp.baseFrequency) return;
             
+            // A bend scheduled in the future starts from the previous bend, since the
+            // current frequency value is not yet the value at that time
+            const bendFrom = now > currentTime && comp.bentFrequency ? comp.bentFrequency : comp.oscillator.frequency.value;
             const newFrequency = comp.baseFrequency * pitchBendMultiplier;
             comp.oscillator.frequency.cancelScheduledValues(now);
-            comp.oscillator.frequency.setValueAtTime(comp.oscillator.frequency.value, now);
+            comp.oscillator.frequency.setValueAtTime(bendFrom, now);
             comp.oscillator.frequency.linearRampToValueAtTime(newFrequency, now + 0.01);
+            comp.bentFrequency = newFrequency;
         });
     }
 
@@ -0,0 +1,99 @@
+// Project Storage - named sequencer projects saved in localStorage
+// Each project is stored under its own key; a small index keeps names and dates so the
+// project list can be shown without parsing every project.
+class ProjectStorage {
+    constructor(prefix = 'doremichord') {
+        this.indexKey = `${prefix}.projects`;
+        this.projectKeyPrefix = `${prefix}.project.`;
+        this.lastProjectKey = `${prefix}.lastProjectId`;
+    }
+
+    // Read the project index: array of { id, name, updatedAt }
+    readIndex() {
+        try {
+            const index = JSON.parse(localStorage.getItem(this.indexKey));
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            console.warn('Project index is corrupted, starting with an empty list', error);
+            return [];
+        }
+    }
+
+    writeIndex(index) {
+        localStorage.setItem(this.indexKey, JSON.stringify(index));
+    }
+
+    createId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    // List projects, most recently saved first
+    listProjects() {
+        return this.readIndex().sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    getProjectInfo(id) {
+        return this.readIndex().find(project => project.id === id) || null;
+    }
+
+    // Load a project's state, or null if it does not exist or cannot be parsed
+    loadProject(id) {
+        try {
+            const state = JSON.parse(localStorage.getItem(this.projectKeyPrefix + id));
+            return state && typeof state === 'object' ? state : null;
+        } catch (error) {
+            console.error('Could not read project', id, error);
+            return null;
+        }
+    }
+
+    // Save a project state; creates a new project when id is not given. Returns the id.
+    // Throws if storage is full (QuotaExceededError) so the caller can tell the user.
+    saveProject(name, state, id = null) {
+        const projectId = id || this.createId();
+        localStorage.setItem(this.projectKeyPrefix + projectId, JSON.stringify(state));
+
+        const index = this.readIndex().filter(project => project.id !== projectId);
+        index.push({ id: projectId, name, updatedAt: Date.now() });
+        this.writeIndex(index);
+        return projectId;
+    }
+
+    renameProject(id, name) {
+        const index = this.readIndex();
+        const project = index.find(p => p.id === id);
+        if (!project) return false;
+        project.name = name;
+        this.writeIndex(index);
+        return true;
+    }
+
+    // Copy a project under a new id. Returns the new id, or null if the source is missing.
+    duplicateProject(id, name) {
+        const source = this.getProjectInfo(id);
+        const state = this.loadProject(id);
+        if (!source || !state) return null;
+        return this.saveProject(name || `${source.name} copy`, state);
+    }
+
+    deleteProject(id) {
+        localStorage.removeItem(this.projectKeyPrefix + id);
+        this.writeIndex(this.readIndex().filter(project => project.id !== id));
+        if (this.getLastProjectId() === id) {
+            localStorage.removeItem(this.lastProjectKey);
+        }
+    }
+
+    // Remember which project was opened last so it can be reopened on page load
+    getLastProjectId() {
+        return localStorage.getItem(this.lastProjectKey);
+    }
+
+    setLastProjectId(id) {
+        localStorage.setItem(this.lastProjectKey, id);
+    }
+}
+
+// Create global project storage instance
+const projectStorage = new ProjectStorage();
+window.projectStorage = projectStorage;
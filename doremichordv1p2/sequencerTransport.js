@@ -0,0 +1,151 @@
+// Sequencer Transport - lookahead scheduler on the AudioContext clock
+// A timer wakes up every few milliseconds and schedules every step that falls inside
+// the lookahead window at its exact AudioContext time. Visual feedback is queued with
+// the same times and drawn from requestAnimationFrame when the audio clock reaches them.
+class SequencerTransport {
+    constructor(options = {}) {
+        // Callbacks supplied by the sequencer
+        this.getAudioContext = options.getAudioContext;   // () => AudioContext used as clock
+        this.getStepDuration = options.getStepDuration;   // () => seconds per step (read every step)
+        this.onStep = options.onStep;                     // (time) => visual payload or null
+        this.onVisualStep = options.onVisualStep;         // (payload) => void
+
+        // Scheduling parameters
+        this.lookahead = options.lookahead || 25; // How often the scheduler wakes up (ms)
+        this.scheduleAheadTime = options.scheduleAheadTime || 0.1; // How far ahead to schedule (s)
+        // Extra lookahead in steps, for sounds the sequencer plays before their step's time
+        this.scheduleAheadSteps = options.scheduleAheadSteps || 0;
+        this.startDelay = 0.05; // Small delay before the first step so it is never late (s)
+
+        // Transport state
+        this.isPlaying = false;
+        this.nextStepTime = 0;
+        this.visualQueue = []; // Array of { time, payload }
+        this.timerWorker = null;
+        this.timerId = null;
+        this.animationFrameId = null;
+
+        this.scheduler = this.scheduler.bind(this);
+        this.drawVisuals = this.drawVisuals.bind(this);
+    }
+
+    get audioContext() {
+        return this.getAudioContext ? this.getAudioContext() : null;
+    }
+
+    start() {
+        if (this.isPlaying) return;
+        const audioContext = this.audioContext;
+        if (!audioContext) {
+            console.error('SequencerTransport: no AudioContext available');
+            return;
+        }
+
+        // Resume clock if suspended (required for autoplay policies)
+        if (audioContext.state === 'suspended') {
+            audioContext.resume();
+        }
+
+        this.isPlaying = true;
+        // The first step leaves room for its early sounds too
+        this.nextStepTime = audioContext.currentTime + this.startDelay
+            + this.scheduleAheadSteps * this.getStepDuration();
+        this.visualQueue = [];
+
+        this.startTimer();
+        this.scheduler();
+        this.animationFrameId = requestAnimationFrame(this.drawVisuals);
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        this.stopTimer();
+
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.visualQueue = [];
+    }
+
+    // Schedule all steps that start before the end of the lookahead window
+    scheduler() {
+        if (!this.isPlaying) return;
+        const audioContext = this.audioContext;
+        const horizon = audioContext.currentTime + this.scheduleAheadTime
+            + this.scheduleAheadSteps * this.getStepDuration();
+
+        while (this.isPlaying && this.nextStepTime < horizon) {
+            const time = this.nextStepTime;
+            const payload = this.onStep ? this.onStep(time) : null;
+            if (payload !== null && payload !== undefined) {
+                this.visualQueue.push({ time, payload });
+            }
+
+            // Step duration is read every step so tempo changes apply on the next step
+            this.nextStepTime += this.getStepDuration();
+        }
+    }
+
+    // Draw queued visuals whose time has been reached on the audio clock
+    drawVisuals() {
+        if (!this.isPlaying) return;
+        const currentTime = this.audioContext.currentTime;
+
+        while (this.visualQueue.length > 0 && this.visualQueue[0].time <= currentTime) {
+            const { payload } = this.visualQueue.shift();
+            if (this.onVisualStep) {
+                this.onVisualStep(payload);
+            }
+        }
+
+        this.animationFrameId = requestAnimationFrame(this.drawVisuals);
+    }
+
+    // Run the scheduler tick from a worker when possible, since worker timers are not
+    // throttled like main-thread timers in background tabs
+    startTimer() {
+        if (!this.timerWorker && window.Worker && window.Blob && window.URL) {
+            try {
+                const source = `
+                    let timerId = null;
+                    self.onmessage = (e) => {
+                        if (e.data.command === 'start') {
+                            clearInterval(timerId);
+                            timerId = setInterval(() => self.postMessage('tick'), e.data.interval);
+                        } else if (e.data.command === 'stop') {
+                            clearInterval(timerId);
+                            timerId = null;
+                        }
+                    };
+                `;
+                const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+                this.timerWorker = new Worker(url);
+                this.timerWorker.onmessage = this.scheduler;
+            } catch (error) {
+                console.warn('SequencerTransport: worker timer unavailable, using setInterval', error);
+                this.timerWorker = null;
+            }
+        }
+
+        if (this.timerWorker) {
+            this.timerWorker.postMessage({ command: 'start', interval: this.lookahead });
+        } else {
+            this.timerId = setInterval(this.scheduler, this.lookahead);
+        }
+    }
+
+    stopTimer() {
+        if (this.timerWorker) {
+            this.timerWorker.postMessage({ command: 'stop' });
+        }
+        if (this.timerId !== null) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+}
+
+// Make SequencerTransport available globally
+window.SequencerTransport = SequencerTransport;
@@ -0,0 +1,376 @@
+// Share Link - encodes a pattern into a compact, versioned URL hash and back
+// Hash format: #v<version>.<payload>, where the payload is base64url-encoded JSON.
+// Decoders for older versions stay in place so previously shared links keep working.
+class ShareLink {
+    static VERSION = 1;
+    static MAX_HASH_LENGTH = 16384; // Room for long songs; browsers accept much longer URLs
+    static MAX_BAR_COUNT = 64; // Songs have 1 to 64 bars, like in the editor
+    static DEGREE_COUNT = 16;
+    static DEFAULT_VELOCITY = 100;
+    static MAX_VELOCITY = 127;
+    static DRUM_EMOJIS = ['🌋', '🤯', '🪡', '🖐', '🫨', '🤏'];
+    static HARMONIC_MODES = ['diatonic', 'jazz7', 'jazz79'];
+    // One character per drum cell: the bitmask of its emojis (6 bits)
+    static CELL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+    // Does the hash look like a share link (as opposed to an empty or unrelated hash)?
+    static isShareHash(hash) {
+        return /^#v\d+\./.test(hash || '');
+    }
+
+    // Encode a pattern state { layerdrumData, h2osynthData, bpm, keySemitone, harmonicMode,
+    // drumParams, barKits, groove, barGrooves, meter, arrangement } into a URL hash
+    static encode(state) {
+        const meter = Meter.sanitize(state.meter) || Meter.DEFAULT;
+        const cellsPerBar = Meter.getCellsPerBar(meter);
+        const drums = [];
+        const velocities = [];
+        const triggers = [];
+        const offsets = [];
+        const chords = [];
+        const automation = [];
+        const barCount = Object.keys(state.layerdrumData).length;
+
+        for (let barNum = 1; barNum <= barCount; barNum++) {
+            let bar = '';
+            for (let cellIndex = 0; cellIndex < cellsPerBar; cellIndex++) {
+                const hits = (state.layerdrumData[barNum] && state.layerdrumData[barNum][cellIndex]) || [];
+                let mask = 0;
+                ShareLink.DRUM_EMOJIS.forEach((emoji, bit) => {
+                    const hit = hits.find(h => h.emoji === emoji);
+                    if (!hit) return;
+                    mask |= 1 << bit;
+                    if (hit.velocity !== ShareLink.DEFAULT_VELOCITY) {
+                        velocities.push([barNum, cellIndex, bit, hit.velocity]);
+                    }
+                    if (TriggerCondition.isConditional(hit)) {
+                        triggers.push([barNum, cellIndex, bit,
+                            TriggerCondition.getProbability(hit), TriggerCondition.getCondition(hit)]);
+                    }
+                    // Recorded timing offsets, in hundredths of a cell
+                    const offset = DrumRecorder.sanitizeOffset(hit.offset);
+                    if (offset !== 0) {
+                        offsets.push([barNum, cellIndex, bit, Math.round(offset * 100)]);
+                    }
+                });
+                bar += ShareLink.CELL_ALPHABET[mask];
+
+                const cellChords = (state.h2osynthData[barNum] && state.h2osynthData[barNum][cellIndex]) || [];
+                cellChords.forEach(chord => {
+                    const entry = [barNum, cellIndex, chord.degree];
+                    if (chord.length > 0) {
+                        entry.push(chord.length);
+                    }
+                    chords.push(entry);
+                    // Recorded automation: [bar, cell, bend points, growl type, LFO points]
+                    const { bend, growl } = ChordRecorder.sanitizeAutomation(chord);
+                    if (bend || growl) {
+                        const automationEntry = [barNum, cellIndex, bend || []];
+                        if (growl) {
+                            automationEntry.push(growl.type, growl.lfo);
+                        }
+                        automation.push(automationEntry);
+                    }
+                });
+            }
+            drums.push(bar);
+        }
+
+        const payload = {
+            b: state.bpm,
+            k: state.keySemitone,
+            m: Math.max(0, ShareLink.HARMONIC_MODES.indexOf(state.harmonicMode)),
+            d: drums,
+            c: chords
+        };
+        // The meter is optional: links without it use the default 4/4 triplet grid
+        if (meter.timeSignature !== Meter.DEFAULT.timeSignature || meter.resolution !== Meter.DEFAULT.resolution) {
+            payload.ts = [meter.timeSignature, meter.resolution];
+        }
+        // Velocities are only stored for hits that are not at the default velocity
+        if (velocities.length > 0) {
+            payload.v = velocities;
+        }
+        if (triggers.length > 0) {
+            payload.t = triggers;
+        }
+        if (offsets.length > 0) {
+            payload.o = offsets;
+        }
+        if (automation.length > 0) {
+            payload.x = automation;
+        }
+        if (state.drumParams && Object.keys(state.drumParams).length > 0) {
+            payload.p = state.drumParams;
+        }
+        // Bar kits: [name, drum parameters]
+        if (state.barKits && Object.keys(state.barKits).length > 0) {
+            payload.pb = {};
+            Object.keys(state.barKits).forEach(barNum => {
+                payload.pb[barNum] = [state.barKits[barNum].name, state.barKits[barNum].params];
+            });
+        }
+        // Grooves are optional fields, so links without them still decode as straight
+        if (state.groove && state.groove.template !== 'straight') {
+            payload.g = [state.groove.template, state.groove.amount];
+        }
+        if (state.barGrooves && Object.keys(state.barGrooves).length > 0) {
+            payload.gb = {};
+            Object.keys(state.barGrooves).forEach(barNum => {
+                payload.gb[barNum] = [state.barGrooves[barNum].template, state.barGrooves[barNum].amount];
+            });
+        }
+        // Arrangement sections: [name, first bar, last bar, repeats]
+        if (state.arrangement && state.arrangement.length > 0) {
+            payload.a = state.arrangement.map(section => [section.name, section.firstBar, section.lastBar, section.repeats]);
+        }
+
+        return `#v${ShareLink.VERSION}.${ShareLink.toBase64Url(JSON.stringify(payload))}`;
+    }
+
+    // Decode a URL hash into a pattern state. Throws an Error with a readable message if the
+    // link is oversized, malformed or from an unknown version.
+    static decode(hash) {
+        if (hash.length > ShareLink.MAX_HASH_LENGTH) {
+            throw new Error('The link is too long');
+        }
+        const match = /^#v(\d+)\.([A-Za-z0-9_-]+)$/.exec(hash);
+        if (!match) {
+            throw new Error('The link is not a pattern link');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(ShareLink.fromBase64Url(match[2]));
+        } catch (error) {
+            throw new Error('The link is damaged');
+        }
+
+        switch (parseInt(match[1])) {
+            case 1:
+                return ShareLink.decodeV1(payload);
+            default:
+                throw new Error(`Link version ${match[1]} is not supported by this version of the app`);
+        }
+    }
+
+    static decodeV1(payload) {
+        const fail = (message) => {
+            throw new Error(`The link is damaged (${message})`);
+        };
+        const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) fail('no pattern data');
+        if (typeof payload.b !== 'number' || !isFinite(payload.b)) fail('tempo');
+        if (!Number.isInteger(payload.k)) fail('key');
+        if (!isInteger(payload.m, 0, ShareLink.HARMONIC_MODES.length - 1)) fail('harmonic mode');
+        // One string per bar; the number of bars is the length of the song
+        if (!Array.isArray(payload.d) || !isInteger(payload.d.length, 1, ShareLink.MAX_BAR_COUNT)) fail('drum layer');
+        const barCount = payload.d.length;
+
+        // Meter: [time signature, resolution]; it decides how many cells a bar has
+        let meter = { ...Meter.DEFAULT };
+        if (payload.ts !== undefined) {
+            if (!Array.isArray(payload.ts) || payload.ts.length !== 2) fail('meter');
+            meter = Meter.sanitize({ timeSignature: payload.ts[0], resolution: payload.ts[1] });
+            if (!meter) fail('meter');
+        }
+        const cellsPerBar = Meter.getCellsPerBar(meter);
+        if (!Array.isArray(payload.c) || payload.c.length > barCount * cellsPerBar) fail('chord layer');
+
+        const layerdrumData = {};
+        const h2osynthData = {};
+        for (let barNum = 1; barNum <= barCount; barNum++) {
+            const bar = payload.d[barNum - 1];
+            if (typeof bar !== 'string' || bar.length !== cellsPerBar) fail('drum layer');
+
+            layerdrumData[barNum] = [];
+            h2osynthData[barNum] = [];
+            for (let cellIndex = 0; cellIndex < cellsPerBar; cellIndex++) {
+                const mask = ShareLink.CELL_ALPHABET.indexOf(bar[cellIndex]);
+                if (mask === -1) fail('drum layer');
+                layerdrumData[barNum].push(ShareLink.DRUM_EMOJIS
+                    .filter((emoji, bit) => mask & (1 << bit))
+                    .map(emoji => ({ emoji, velocity: ShareLink.DEFAULT_VELOCITY })));
+                h2osynthData[barNum].push([]);
+            }
+        }
+
+        payload.c.forEach(entry => {
+            if (!Array.isArray(entry) || entry.length < 3 || entry.length > 4) fail('chord layer');
+            const [barNum, cellIndex, degree, length] = entry;
+            if (!isInteger(barNum, 1, barCount)
+                || !isInteger(cellIndex, 0, cellsPerBar - 1)
+                || !isInteger(degree, 0, ShareLink.DEGREE_COUNT - 1)
+                || (length !== undefined && !isInteger(length, 1, cellsPerBar))) {
+                fail('chord layer');
+            }
+            const chord = { degree };
+            if (length !== undefined) {
+                chord.length = length;
+            }
+            h2osynthData[barNum][cellIndex] = [chord];
+        });
+        // Chord automation: [bar, cell, bend points, growl type, LFO points] for chords in the
+        // chord layer; point values are clamped by ChordRecorder
+        if (payload.x !== undefined) {
+            if (!Array.isArray(payload.x) || payload.x.length > payload.c.length) fail('chord automation');
+            payload.x.forEach(entry => {
+                if (!Array.isArray(entry) || (entry.length !== 3 && entry.length !== 5)) fail('chord automation');
+                const [barNum, cellIndex, bend, growlType, lfo] = entry;
+                if (!isInteger(barNum, 1, barCount) || !isInteger(cellIndex, 0, cellsPerBar - 1)) fail('chord automation');
+                const chord = h2osynthData[barNum][cellIndex][0];
+                const isPoints = points => Array.isArray(points) && points.length <= ChordRecorder.MAX_POINTS;
+                if (!chord || !isPoints(bend)
+                    || (entry.length === 5 && (!ChordRecorder.GROWL_TYPES.includes(growlType) || !isPoints(lfo)))) {
+                    fail('chord automation');
+                }
+                const automated = { ...chord, bend };
+                if (growlType !== undefined) {
+                    automated.growl = { type: growlType, lfo };
+                }
+                h2osynthData[barNum][cellIndex] = [ChordRecorder.sanitizeAutomation(automated)];
+            });
+        }
+
+        // Per-hit fields are lists of [bar, cell, emoji bit, ...values] for hits in the drum layer
+        const maxHits = barCount * cellsPerBar * ShareLink.DRUM_EMOJIS.length;
+        const decodeHitFields = (entries, valueCount, field, apply) => {
+            if (!Array.isArray(entries) || entries.length > maxHits) fail(field);
+            entries.forEach(entry => {
+                if (!Array.isArray(entry) || entry.length !== 3 + valueCount) fail(field);
+                const [barNum, cellIndex, bit, ...values] = entry;
+                if (!isInteger(barNum, 1, barCount)
+                    || !isInteger(cellIndex, 0, cellsPerBar - 1)
+                    || !isInteger(bit, 0, ShareLink.DRUM_EMOJIS.length - 1)) {
+                    fail(field);
+                }
+                const hit = layerdrumData[barNum][cellIndex].find(h => h.emoji === ShareLink.DRUM_EMOJIS[bit]);
+                if (!hit) fail(field);
+                apply(hit, ...values);
+            });
+        };
+        // Velocities: [..., velocity]
+        if (payload.v !== undefined) {
+            decodeHitFields(payload.v, 1, 'velocities', (hit, velocity) => {
+                if (!isInteger(velocity, 1, ShareLink.MAX_VELOCITY)) fail('velocities');
+                hit.velocity = velocity;
+            });
+        }
+        // Trigger probability and condition: [..., probability, condition]
+        if (payload.t !== undefined) {
+            decodeHitFields(payload.t, 2, 'triggers', (hit, probability, condition) => {
+                if (!isInteger(probability, 0, 100) || !TriggerCondition.isCondition(condition)) fail('triggers');
+                Object.assign(hit, TriggerCondition.sanitize({ probability, condition }));
+            });
+        }
+        // Timing offsets: [..., offset in hundredths of a cell]
+        if (payload.o !== undefined) {
+            const maxOffset = Math.round(DrumRecorder.MAX_OFFSET * 100);
+            decodeHitFields(payload.o, 1, 'offsets', (hit, offset) => {
+                if (!isInteger(offset, -maxOffset, maxOffset)) fail('offsets');
+                hit.offset = offset / 100;
+            });
+        }
+        
+        // Drum parameters: instrument -> { param: number }; values are range-checked by SoundManager
+        const decodeDrumParams = (value) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) fail('drum parameters');
+            const params = {};
+            Object.keys(value).forEach(name => {
+                const values = value[name];
+                if (!values || typeof values !== 'object' || Array.isArray(values)) fail('drum parameters');
+                params[name] = {};
+                Object.keys(values).forEach(param => {
+                    if (typeof values[param] !== 'number' || !isFinite(values[param])) fail('drum parameters');
+                    params[name][param] = values[param];
+                });
+            });
+            return params;
+        };
+        const drumParams = payload.p !== undefined ? decodeDrumParams(payload.p) : {};
+        const barKits = {};
+        if (payload.pb !== undefined) {
+            if (!payload.pb || typeof payload.pb !== 'object' || Array.isArray(payload.pb)) fail('bar kits');
+            Object.keys(payload.pb).forEach(barNum => {
+                const entry = payload.pb[barNum];
+                if (!isInteger(Number(barNum), 1, barCount) || !Array.isArray(entry) || entry.length !== 2
+                    || typeof entry[0] !== 'string' || !entry[0] || entry[0].length > DrumKits.MAX_NAME_LENGTH) {
+                    fail('bar kits');
+                }
+                barKits[barNum] = { name: entry[0], params: decodeDrumParams(entry[1]) };
+            });
+        }
+
+        // Grooves: [template, amount] for the whole pattern and per bar
+        const decodeGroove = (value) => {
+            if (!Array.isArray(value) || value.length !== 2 || !Groove.isTemplate(value[0])
+                || !isInteger(value[1], 0, 100)) {
+                fail('groove');
+            }
+            return { template: value[0], amount: value[1] };
+        };
+        const groove = payload.g !== undefined ? decodeGroove(payload.g) : null;
+        const barGrooves = {};
+        if (payload.gb !== undefined) {
+            if (!payload.gb || typeof payload.gb !== 'object' || Array.isArray(payload.gb)) fail('groove');
+            Object.keys(payload.gb).forEach(barNum => {
+                if (!isInteger(Number(barNum), 1, barCount)) fail('groove');
+                barGrooves[barNum] = decodeGroove(payload.gb[barNum]);
+            });
+        }
+
+        const arrangement = [];
+        if (payload.a !== undefined) {
+            if (!Array.isArray(payload.a) || payload.a.length > Arrangement.MAX_SECTIONS) fail('arrangement');
+            payload.a.forEach(entry => {
+                if (!Array.isArray(entry) || entry.length !== 4) fail('arrangement');
+                const [name, firstBar, lastBar, repeats] = entry;
+                if (typeof name !== 'string' || name.length > Arrangement.MAX_NAME_LENGTH
+                    || !isInteger(firstBar, 1, barCount)
+                    || !isInteger(lastBar, firstBar, barCount)
+                    || !isInteger(repeats, 1, Arrangement.MAX_REPEATS)) {
+                    fail('arrangement');
+                }
+                arrangement.push({ name, firstBar, lastBar, repeats });
+            });
+        }
+
+        return {
+            layerdrumData,
+            h2osynthData,
+            bpm: payload.b,
+            keySemitone: payload.k,
+            harmonicMode: ShareLink.HARMONIC_MODES[payload.m],
+            drumParams,
+            barKits,
+            groove,
+            barGrooves,
+            meter,
+            arrangement
+        };
+    }
+
+    // UTF-8 text -> base64url without padding
+    static toBase64Url(text) {
+        let binary = '';
+        new TextEncoder().encode(text).forEach(b => {
+            binary += String.fromCharCode(b);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // base64url -> UTF-8 text (throws on invalid input)
+    static fromBase64Url(payload) {
+        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    }
+}
+
+// Make ShareLink available globally
+window.ShareLink = ShareLink;
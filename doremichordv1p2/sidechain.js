@@ -0,0 +1,127 @@
+// Sidechain - ducks the chord and growl buses on kick and/or snare hits
+// Each hit of a source instrument pulls the ducking gains of the target mixer strips down
+// by `depth` within ATTACK, holds them there for `hold` and lets them back up over
+// `release`. Hits are scheduled ahead on the audio clock, and not always in time order (live
+// pads, recorded offsets), so the ducks are remembered: the gains follow the deepest duck at
+// any time, which also gives the gain reduction shown (see getReduction).
+class Sidechain {
+    static SOURCES = { kick: 'Kick', snare: 'Snare' };     // SoundManager instrument names
+    static TARGETS = ['chords', 'subBass', 'growl'];        // Mixer channels
+    static ATTACK = 0.001;      // s
+    static MIN_LEVEL = 0.001;   // Exponential ramps cannot reach 0 (-60 dB)
+    static MAX_HOLD = 500;      // ms
+    static MAX_RELEASE = 1000;  // ms
+    static DEFAULT = { sources: ['kick'], depth: 80, hold: 100, release: 100 };
+
+    constructor() {
+        this.audioContext = null;
+        this.gains = [];        // AudioParams ducked on each hit
+        this.settings = Sidechain.sanitize(Sidechain.DEFAULT);
+        this.ducks = [];        // Scheduled ducks by start: { start, attackEnd, holdEnd, releaseEnd, level }
+    }
+
+    // Settings from possibly invalid saved data: { sources, depth (0-100% gain reduction),
+    // hold (ms), release (ms) }
+    static sanitize(settings) {
+        const source = settings && typeof settings === 'object' ? settings : {};
+        const toNumber = (value, fallback, max) => typeof value === 'number' && isFinite(value)
+            ? Math.max(0, Math.min(max, Math.round(value)))
+            : fallback;
+        return {
+            sources: Array.isArray(source.sources)
+                ? Object.keys(Sidechain.SOURCES).filter(name => source.sources.includes(name))
+                : [...Sidechain.DEFAULT.sources],
+            depth: toNumber(source.depth, Sidechain.DEFAULT.depth, 100),
+            hold: toNumber(source.hold, Sidechain.DEFAULT.hold, Sidechain.MAX_HOLD),
+            release: toNumber(source.release, Sidechain.DEFAULT.release, Sidechain.MAX_RELEASE)
+        };
+    }
+
+    // audioContext: the clock hit times refer to; gains: the AudioParams to duck
+    init(audioContext, gains) {
+        this.audioContext = audioContext;
+        this.gains = gains;
+    }
+
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    setSettings(settings) {
+        this.settings = Sidechain.sanitize(settings);
+    }
+
+    // Gain the targets are ducked to
+    getLevel() {
+        return Math.max(Sidechain.MIN_LEVEL, 1 - this.settings.depth / 100);
+    }
+
+    // A hit of a drum instrument at a time on the audio clock (defaults to now)
+    trigger(instrument, time) {
+        if (!this.audioContext || !this.settings.sources.includes(instrument) || this.settings.depth === 0) return;
+
+        const currentTime = this.audioContext.currentTime;
+        const start = Math.max(currentTime, time || 0);
+        const level = this.getLevel();
+        const attackEnd = start + Sidechain.ATTACK;
+        const holdEnd = attackEnd + this.settings.hold / 1000;
+        const releaseEnd = holdEnd + this.settings.release / 1000;
+
+        // Ducks scheduled for later than this one stay
+        this.ducks = this.ducks.filter(duck => duck.releaseEnd > currentTime);
+        this.ducks.push({ start, attackEnd, holdEnd, releaseEnd, level });
+        this.ducks.sort((a, b) => a.start - b.start);
+        this.scheduleFrom(start);
+    }
+
+    // Rebuild the automation of the gains from a time on: the deepest duck at each point where
+    // a duck starts or ends a stage, with exponential ramps in between
+    scheduleFrom(start) {
+        const getGain = at => Math.pow(10, this.getReduction(at) / 20);
+        const times = [];
+        this.ducks.forEach(duck => {
+            [duck.start, duck.attackEnd, duck.holdEnd, duck.releaseEnd].forEach(at => {
+                if (at > start && !times.includes(at)) times.push(at);
+            });
+        });
+        times.sort((a, b) => a - b);
+
+        const heldGain = getGain(start);
+        this.gains.forEach(gain => {
+            // Go on from the level reached at the start and drop the later ramps
+            if (gain.cancelAndHoldAtTime) {
+                gain.cancelAndHoldAtTime(start);
+            } else {
+                gain.cancelScheduledValues(start);
+                gain.setValueAtTime(heldGain, start);
+            }
+            times.forEach(at => gain.exponentialRampToValueAtTime(getGain(at), at));
+        });
+    }
+
+    // Gain reduction of the targets at a time on the audio clock (defaults to now), in dB
+    // (0 or less)
+    getReduction(time) {
+        if (!this.audioContext) return 0;
+        const at = time === undefined ? this.audioContext.currentTime : time;
+        // Exponential ramps move linearly in dB
+        const ramp = (from, to, progress) => from * Math.pow(to / from, progress);
+        let gain = 1;
+        this.ducks.forEach(duck => {
+            if (at < duck.start || at >= duck.releaseEnd) return;
+            let duckGain;
+            if (at < duck.attackEnd) {
+                duckGain = ramp(1, duck.level, (at - duck.start) / (duck.attackEnd - duck.start));
+            } else if (at < duck.holdEnd) {
+                duckGain = duck.level;
+            } else {
+                duckGain = ramp(duck.level, 1, (at - duck.holdEnd) / (duck.releaseEnd - duck.holdEnd));
+            }
+            gain = Math.min(gain, duckGain);
+        });
+        return 20 * Math.log10(gain);
+    }
+}
+
+// Make Sidechain available globally
+window.Sidechain = Sidechain;
@@ -1,5 +1,19 @@
 // Sound Manager for Drum Emojis
 class SoundManager {
+    // Instance properties holding the drum instruments
+    static INSTRUMENT_NAMES = ['kick', 'snare', 'hihat', 'clap', 'openHat', 'closedHat'];
+    static EMOJI_INSTRUMENTS = {
+        '🌋': 'kick',
+        '🤯': 'snare',
+        '🪡': 'hihat',
+        '🖐': 'clap',
+        '🫨': 'openHat',
+        '🤏': 'closedHat'
+    };
+    // Hit velocities are MIDI-style (1-127); the default velocity plays at the volume setting
+    static DEFAULT_VELOCITY = 100;
+    static MAX_VELOCITY = 127;
+
     constructor() {
         this.kick = null;
         this.snare = null;
@@ -8,111 +22,187 @@ class SoundManager {
         this.openHat = null;
         this.closedHat = null;
         this.initialized = false;
+        this.sidechain = null; // Told about every hit; it decides which instruments duck
+        
+        // Parameter values changed from the defaults: instrument name -> { param: value }
+        this.paramOverrides = {};
+        this.defaultParams = {}; // instrument name -> params the instrument was created with
+    }
+
+    getParamOverrides() {
+        return JSON.parse(JSON.stringify(this.paramOverrides));
+    }
+
+    // Replace all parameter overrides. Unknown instruments/parameters and non-numeric values
+    // are ignored, and values are clamped to the instrument's parameterNames ranges.
+    setParamOverrides(overrides) {
+        this.paramOverrides = {};
+        SoundManager.INSTRUMENT_NAMES.forEach(name => {
+            const values = overrides && overrides[name];
+            if (!values || typeof values !== 'object') return;
+            
+            Object.keys(values).forEach(param => {
+                if (typeof values[param] !== 'number' || !isFinite(values[param])) return;
+                this.paramOverrides[name] = this.paramOverrides[name] || {};
+                this.paramOverrides[name][param] = values[param];
+            });
+        });
+        
+        if (this.initialized) {
+            this.applyParamOverrides();
+        }
+    }
+
+    // Current parameter values of an instrument, or null if it is not loaded
+    getParams(name) {
+        return this[name] ? { ...this[name].params } : null;
+    }
+
+    // Change one parameter of an instrument (clamped to its parameterNames range). Returns
+    // the value the instrument now uses.
+    setParam(name, param, value) {
+        if (!this[name] || !(param in this.defaultParams[name])) return undefined;
+        if (typeof value !== 'number' || !isFinite(value)) return this[name].params[param];
+        this.paramOverrides[name] = { ...this.paramOverrides[name], [param]: value };
+        this.applyParamOverrides();
+        return this[name].params[param];
+    }
+
+    // Put an instrument back to the parameters it was created with
+    resetParams(name) {
+        delete this.paramOverrides[name];
+        this.applyParamOverrides();
     }
 
-    init() {
+    // Parameters of a live instrument with some values changed from its defaults
+    // (overrides: { param: value }, clamped to the parameterNames ranges)
+    resolveParams(name, overrides = {}) {
+        const instrument = this[name];
+        const defaults = this.defaultParams[name];
+        const schema = instrument.constructor.parameterNames || {};
+        const params = { ...defaults };
+        
+        Object.keys(overrides).forEach(param => {
+            if (!(param in defaults) || typeof overrides[param] !== 'number' || !isFinite(overrides[param])) return;
+            const range = schema[param];
+            params[param] = range
+                ? Math.max(range.min, Math.min(range.max, overrides[param]))
+                : overrides[param];
+        });
+        return params;
+    }
+
+    // Reset each live instrument to its defaults plus the overrides
+    applyParamOverrides() {
+        SoundManager.INSTRUMENT_NAMES.forEach(name => {
+            if (this[name]) {
+                this[name].params = this.resolveParams(name, this.paramOverrides[name]);
+            }
+        });
+    }
+
+    // options: { audioContext, destination } passed to every drum (e.g. for offline rendering);
+    // by default the drums play on the shared engine (see audioEngine.js).
+    // options.destinations: instrument name -> node, for drums with their own output (e.g. a
+    // mixer strip). options.sidechain: a Sidechain to trigger with the hits
+    init(options = {}) {
         if (this.initialized) return;
         
+        const { destinations = {}, sidechain = null, ...output } = options;
+        this.sidechain = sidechain;
+        const getOptions = name => destinations[name] ? { ...output, destination: destinations[name] } : output;
+        
         // Initialize drum sounds
         if (window.KickDrum) {
-            this.kick = new KickDrum();
+            this.kick = new KickDrum({}, getOptions('kick'));
             console.log('Kick initialized');
         } else {
             console.warn('KickDrum class not found');
         }
         if (window.SnareDrum) {
-            this.snare = new SnareDrum();
+            this.snare = new SnareDrum({}, getOptions('snare'));
             console.log('Snare initialized');
         } else {
             console.warn('SnareDrum class not found');
         }
         if (window.Pin) {
-            this.hihat = new Pin();
+            this.hihat = new Pin({}, getOptions('hihat'));
             console.log('Pin initialized');
         } else {
             console.warn('Pin class not found');
         }
         if (window.Clap) {
-            this.clap = new Clap();
+            this.clap = new Clap({}, getOptions('clap'));
             console.log('Clap initialized');
         } else {
             console.warn('Clap class not found');
         }
         if (window.OpenHat) {
-            this.openHat = new OpenHat();
+            this.openHat = new OpenHat({}, getOptions('openHat'));
             console.log('OpenHat initialized');
         } else {
             console.warn('OpenHat class not found');
         }
         if (window.ClosedHat) {
-            this.closedHat = new ClosedHat();
+            this.closedHat = new ClosedHat({}, getOptions('closedHat'));
             console.log('ClosedHat initialized');
         } else {
             console.warn('ClosedHat class not found');
         }
         
+        SoundManager.INSTRUMENT_NAMES.forEach(name => {
+            if (this[name]) {
+                this.defaultParams[name] = { ...this[name].params };
+            }
+        });
+        this.applyParamOverrides();
+        
         this.initialized = true;
         console.log('SoundManager initialized');
     }
 
-    async playSound(emoji) {
-        // Ensure audio context is initialized (required for user interaction)
+    // time: start time on the drums' AudioContext clock (defaults to now)
+    // velocity: hit velocity 1-127 (defaults to SoundManager.DEFAULT_VELOCITY)
+    // kitParams: parameter overrides to play this hit with instead of the current ones, in
+    // the same shape (e.g. the kit of a bar, see DrumKits)
+    async playSound(emoji, time, velocity = SoundManager.DEFAULT_VELOCITY, kitParams = null) {
+        // Ensure audio context is initialized (required for user interaction). Creating the
+        // shared context may set the drums up with their outputs already (see AudioEngine.onCreate).
         if (!this.initialized) {
+            audioEngine.getContext();
             this.init();
         }
 
-        // Resume audio contexts if suspended (required for autoplay policies)
-        const contexts = [];
-        if (this.kick && this.kick.audioContext) contexts.push(this.kick.audioContext);
-        if (this.snare && this.snare.audioContext) contexts.push(this.snare.audioContext);
-        if (this.hihat && this.hihat.audioContext) contexts.push(this.hihat.audioContext);
-        if (this.clap && this.clap.audioContext) contexts.push(this.clap.audioContext);
-        if (this.openHat && this.openHat.audioContext) contexts.push(this.openHat.audioContext);
-        if (this.closedHat && this.closedHat.audioContext) contexts.push(this.closedHat.audioContext);
-        
-        // Resume all suspended contexts
-        const resumePromises = contexts
-            .filter(ctx => ctx.state === 'suspended')
-            .map(ctx => ctx.resume());
-        
-        if (resumePromises.length > 0) {
-            await Promise.all(resumePromises);
+        // Resume the drums' context if suspended (required for autoplay policies; offline
+        // contexts are started by startRendering instead)
+        const audioContext = this.kick && this.kick.audioContext;
+        if (audioContext && audioContext.state === 'suspended'
+                && !(window.OfflineAudioContext && audioContext instanceof OfflineAudioContext)) {
+            await audioContext.resume();
         }
 
         // Map emojis to sounds
-        switch(emoji) {
-            case '🌋':
-                if (this.kick) {
-                    this.kick.play();
-                }
-                break;
-            case '🤯':
-                if (this.snare) {
-                    this.snare.play();
-                }
-                break;
-            case '🪡':
-                if (this.hihat) {
-                    this.hihat.play();
-                }
-                break;
-            case '🖐':
-                if (this.clap) {
-                    this.clap.play();
-                }
-                break;
-            case '🫨':
-                if (this.openHat) {
-                    this.openHat.play();
-                }
-                break;
-            case '🤏':
-                if (this.closedHat) {
-                    this.closedHat.play();
-                }
-                break;
-            default:
-                console.warn('Unknown emoji for sound:', emoji);
+        const name = SoundManager.EMOJI_INSTRUMENTS[emoji];
+        if (!name) {
+            console.warn('Unknown emoji for sound:', emoji);
+            return;
+        }
+        const instrument = this[name];
+        if (!instrument) return;
+        
+        // The instruments read their params when a hit is scheduled, so the kit's only need
+        // to be in place during play()
+        const params = instrument.params;
+        if (kitParams) {
+            instrument.params = this.resolveParams(name, kitParams[name]);
+        }
+        try {
+            instrument.play(time, velocity / SoundManager.DEFAULT_VELOCITY);
+        } finally {
+            instrument.params = params;
+        }
+        if (this.sidechain) {
+            this.sidechain.trigger(name, time);
         }
     }
 }
@@ -9,9 +9,9 @@ class Clap {
         volume: { label: 'Volume', min: 0, max: 1, step: 0.01, default: 0.5 }
     };
 
-    constructor(params = {}) {
+    constructor(params = {}, options = {}) {
         this.audioContext = null;
-        this.initAudio();
+        this.initAudio(options);
         
         // Default parameters
         this.params = {
@@ -24,10 +24,12 @@ class Clap {
         };
     }
 
-    initAudio() {
-        // Handle Safari
-        window.AudioContext = window.AudioContext || window.webkitAudioContext;
-        this.audioContext = new AudioContext();
+    // Play on the shared engine's context into its master bus, or on options.audioContext /
+    // options.destination when given (e.g. for offline rendering)
+    initAudio(options = {}) {
+        const { audioContext, destination } = audioEngine.getOutput(options);
+        this.audioContext = audioContext;
+        this.destination = destination;
     }
 
     createNoiseBuffer() {
@@ -42,8 +44,10 @@ class Clap {
         return buffer;
     }
 
-    play() {
-        const now = this.audioContext.currentTime;
+    // time: start time on this instrument's AudioContext clock (defaults to now)
+    // velocity: loudness relative to the volume setting (1 = volume; accents go above 1)
+    play(time, velocity = 1) {
+        const now = Math.max(this.audioContext.currentTime, time || 0);
         
         // Get parameters from instance
         const spacing = this.params.spacing;
@@ -51,12 +55,12 @@ class Clap {
         const reverbDecay = this.params.reverbDecay / 1000;
         const filterFreq = this.params.filterFreq;
         const filterQ = this.params.filterQ;
-        const volume = this.params.volume;
+        const volume = this.params.volume * velocity;
         
         // Master gain node
         const masterGain = this.audioContext.createGain();
         masterGain.gain.value = volume;
-        masterGain.connect(this.audioContext.destination);
+        masterGain.connect(this.destination);
         
         // Create bandpass filter
         const filter = this.audioContext.createBiquadFilter();
@@ -29,9 +29,9 @@ class HiHat {
         volume: { label: 'Volume', min: 0, max: 1, step: 0.01, default: 0.7 }
     };
 
-    constructor(preset = 'open', params = {}) {
+    constructor(preset = 'open', params = {}, options = {}) {
         this.audioContext = null;
-        this.initAudio();
+        this.initAudio(options);
         
         // Get preset defaults
         const presetDefaults = HiHat.presets[preset] || HiHat.presets.open;
@@ -48,10 +48,12 @@ class HiHat {
         };
     }
 
-    initAudio() {
-        // Handle Safari
-        window.AudioContext = window.AudioContext || window.webkitAudioContext;
-        this.audioContext = new AudioContext();
+    // Play on the shared engine's context into its master bus, or on options.audioContext /
+    // options.destination when given (e.g. for offline rendering)
+    initAudio(options = {}) {
+        const { audioContext, destination } = audioEngine.getOutput(options);
+        this.audioContext = audioContext;
+        this.destination = destination;
     }
 
     // Helper function to create distortion/waveshaper
@@ -135,14 +137,16 @@ class HiHat {
         return whiteNoise;
     }
 
-    play() {
-        const now = this.audioContext.currentTime;
+    // time: start time on this instrument's AudioContext clock (defaults to now)
+    // velocity: loudness relative to the volume setting (1 = volume; accents go above 1)
+    play(time, velocity = 1) {
+        const now = Math.max(this.audioContext.currentTime, time || 0);
         const duration = Math.max(0.1, this.params.decay / 1000); // Convert ms to seconds
         
         // Get parameter values from instance
         const noiseLevel = this.params.noiseLevel / 100;
         const brightness = this.params.brightness / 100;
-        const volume = this.params.volume;
+        const volume = this.params.volume * velocity;
         
         // === MASTER CHAIN: Compressor -> Distortion -> Destination ===
         const masterGain = this.audioContext.createGain();
@@ -160,7 +164,7 @@ class HiHat {
         
         masterGain.connect(masterCompressor);
         masterCompressor.connect(masterDistortion);
-        masterDistortion.connect(this.audioContext.destination);
+        masterDistortion.connect(this.destination);
         
         // === WHITE NOISE: Main hi-hat component ===
         const whiteNoise = this.createWhiteNoise();
@@ -229,14 +233,14 @@ window.HiHat = HiHat;
 
 // Convenience aliases for backward compatibility
 window.OpenHat = class extends HiHat {
-    constructor(params = {}) {
-        super('open', params);
+    constructor(params = {}, options = {}) {
+        super('open', params, options);
     }
 };
 
 window.ClosedHat = class extends HiHat {
-    constructor(params = {}) {
-        super('closed', params);
+    constructor(params = {}, options = {}) {
+        super('closed', params, options);
     }
 };
 
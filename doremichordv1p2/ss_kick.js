@@ -9,9 +9,9 @@ class KickDrum {
         volume: { label: 'Volume', min: 0, max: 1, step: 0.01, default: 0.7 }
     };
 
-    constructor(params = {}) {
+    constructor(params = {}, options = {}) {
         this.audioContext = null;
-        this.initAudio();
+        this.initAudio(options);
         
         // Default parameters
         this.params = {
@@ -24,10 +24,12 @@ class KickDrum {
         };
     }
 
-    initAudio() {
-        // Handle Safari
-        window.AudioContext = window.AudioContext || window.webkitAudioContext;
-        this.audioContext = new AudioContext();
+    // Play on the shared engine's context into its master bus, or on options.audioContext /
+    // options.destination when given (e.g. for offline rendering)
+    initAudio(options = {}) {
+        const { audioContext, destination } = audioEngine.getOutput(options);
+        this.audioContext = audioContext;
+        this.destination = destination;
     }
 
     createNoiseBuffer() {
@@ -42,8 +44,10 @@ class KickDrum {
         return buffer;
     }
 
-    play() {
-        const now = this.audioContext.currentTime;
+    // time: start time on this instrument's AudioContext clock (defaults to now)
+    // velocity: loudness relative to the volume setting (1 = volume; accents go above 1)
+    play(time, velocity = 1) {
+        const now = Math.max(this.audioContext.currentTime, time || 0);
         
         // Read parameter values from instance
         const initialFreq = this.params.initialFreq;
@@ -51,12 +55,12 @@ class KickDrum {
         const duration = this.params.duration / 1000;
         const clickLevel = this.params.clickLevel / 100;
         const clickDuration = this.params.clickDuration / 1000;
-        const volume = this.params.volume;
+        const volume = this.params.volume * velocity;
         
         // Create master gain node for volume control
         const masterGain = this.audioContext.createGain();
         masterGain.gain.value = volume;
-        masterGain.connect(this.audioContext.destination);
+        masterGain.connect(this.destination);
         
         // Create oscillator for the main tone
         const osc = this.audioContext.createOscillator();
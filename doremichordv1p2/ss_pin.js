@@ -10,9 +10,9 @@ class Pin {
         volume: { label: 'Volume', min: 0, max: 1, step: 0.01, default: 0.3 }
     };
 
-    constructor(params = {}) {
+    constructor(params = {}, options = {}) {
         this.audioContext = null;
-        this.initAudio();
+        this.initAudio(options);
         
         // Default parameters
         this.params = {
@@ -26,10 +26,12 @@ class Pin {
         };
     }
 
-    initAudio() {
-        // Handle Safari
-        window.AudioContext = window.AudioContext || window.webkitAudioContext;
-        this.audioContext = new AudioContext();
+    // Play on the shared engine's context into its master bus, or on options.audioContext /
+    // options.destination when given (e.g. for offline rendering)
+    initAudio(options = {}) {
+        const { audioContext, destination } = audioEngine.getOutput(options);
+        this.audioContext = audioContext;
+        this.destination = destination;
     }
 
     // Create pink noise buffer (1/f noise)
@@ -62,8 +64,10 @@ class Pin {
         return buffer;
     }
 
-    play() {
-        const now = this.audioContext.currentTime;
+    // time: start time on this instrument's AudioContext clock (defaults to now)
+    // velocity: loudness relative to the volume setting (1 = volume; accents go above 1)
+    play(time, velocity = 1) {
+        const now = Math.max(this.audioContext.currentTime, time || 0);
         
         // Get parameters from instance
         const freq1 = this.params.freq1;
@@ -72,12 +76,12 @@ class Pin {
         const release = this.params.release / 1000;
         const filterFreq = this.params.filterFreq;
         const filterQ = this.params.filterQ;
-        const volume = this.params.volume;
+        const volume = this.params.volume * velocity;
         
         // Create master gain
         const masterGain = this.audioContext.createGain();
         masterGain.gain.value = volume;
-        masterGain.connect(this.audioContext.destination);
+        masterGain.connect(this.destination);
         
         // Create filter
         const filter = this.audioContext.createBiquadFilter();
@@ -9,9 +9,9 @@ class SnareDrum {
         volume: { label: 'Volume', min: 0, max: 1, step: 0.01, default: 1 }
     };
 
-    constructor(params = {}) {
+    constructor(params = {}, options = {}) {
         this.audioContext = null;
-        this.initAudio();
+        this.initAudio(options);
         
         // Default parameters
         this.params = {
@@ -24,10 +24,12 @@ class SnareDrum {
         };
     }
 
-    initAudio() {
-        // Handle Safari
-        window.AudioContext = window.AudioContext || window.webkitAudioContext;
-        this.audioContext = new AudioContext();
+    // Play on the shared engine's context into its master bus, or on options.audioContext /
+    // options.destination when given (e.g. for offline rendering)
+    initAudio(options = {}) {
+        const { audioContext, destination } = audioEngine.getOutput(options);
+        this.audioContext = audioContext;
+        this.destination = destination;
     }
 
     createNoiseBuffer() {
@@ -42,8 +44,10 @@ class SnareDrum {
         return buffer;
     }
 
-    play() {
-        const now = this.audioContext.currentTime;
+    // time: start time on this instrument's AudioContext clock (defaults to now)
+    // velocity: loudness relative to the volume setting (1 = volume; accents go above 1)
+    play(time, velocity = 1) {
+        const now = Math.max(this.audioContext.currentTime, time || 0);
         
         // Read parameter values from instance
         const noiseLevel = this.params.noiseLevel / 100;
@@ -51,7 +55,7 @@ class SnareDrum {
         const thudLevel = this.params.thudLevel / 100;
         const oscFreq = this.params.oscFreq;
         const duration = this.params.duration / 1000;
-        const volume = this.params.volume;
+        const volume = this.params.volume * velocity;
         
         // Create master gain node with compression for strength
         const masterGain = this.audioContext.createGain();
@@ -66,7 +70,7 @@ class SnareDrum {
         compressor.release.value = 0.1;
         
         masterGain.connect(compressor);
-        compressor.connect(this.audioContext.destination);
+        compressor.connect(this.destination);
         
         // === THUD: Low frequency body ===
         if (thudLevel > 0) {
@@ -1,7 +1,11 @@
 // Water Synthesizer
 class WaterSynth {
-    constructor() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    // options.audioContext / options.destination: play into an existing context and node
+    // (e.g. an OfflineAudioContext for rendering) instead of the shared engine's master bus
+    constructor(options = {}) {
+        const { audioContext, destination } = audioEngine.getOutput(options);
+        this.audioContext = audioContext;
+        this.destination = destination;
         
         // Create audio graph - split into dry and wet (reverb) paths
         this.reverb = this.audioContext.createConvolver();
@@ -36,7 +40,7 @@ class WaterSynth {
         this.reverbGain.gain.value = 1.0; // Very loud reverb
         
         // Compressor connects to destination (prevents clipping)
-        this.compressor.connect(this.audioContext.destination);
+        this.compressor.connect(this.destination);
         
         this.masterGain.gain.value = 1.0;
 
@@ -168,8 +172,9 @@ class WaterSynth {
     }
 
     // Create a sustained note that can be controlled (for startNote/stopNote pattern)
-    createSustainedNote(frequency, pitchDrop = 0.02, noiseAmount = 0.03) {
-        const now = this.audioContext.currentTime;
+    // startTime: when the note starts on the AudioContext clock (defaults to now)
+    createSustainedNote(frequency, pitchDrop = 0.02, noiseAmount = 0.03, startTime) {
+        const now = Math.max(this.audioContext.currentTime, startTime || 0);
         
         // Much smaller variations for clearer tones
         const finalPitchDrop = frequency * (pitchDrop + Math.random() * 0.02); // Reduced from 0.08+0.07 to 0.02+0.02
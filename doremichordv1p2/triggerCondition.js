@@ -0,0 +1,96 @@
+// Trigger Condition - decides whether a drum hit plays on a pass of the loop
+// A hit may carry a trigger probability (0-100%, default 100) and a condition (default 'always').
+// Both are only stored on a hit when they differ from the default.
+class TriggerCondition {
+    static CONDITIONS = {
+        always: { label: 'Always', marker: '' },
+        everySecond: { label: 'Every 2nd loop', marker: '2' },
+        firstPass: { label: 'First pass only', marker: '1' },
+        previousFired: { label: 'Previous step fired', marker: '←' },
+        fill: { label: 'Fill only', marker: 'F' }
+    };
+    static DEFAULT_PROBABILITY = 100;
+    static PROBABILITY_MARKER = '%'; // Shown for hits that only have a probability
+
+    static isCondition(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(TriggerCondition.CONDITIONS, name);
+    }
+
+    // The valid, non-default trigger settings of possibly invalid saved hit data:
+    // { probability?, condition? }
+    static sanitize(hit) {
+        const settings = {};
+        if (typeof hit.probability === 'number' && isFinite(hit.probability)) {
+            const probability = Math.max(0, Math.min(100, Math.round(hit.probability)));
+            if (probability < TriggerCondition.DEFAULT_PROBABILITY) {
+                settings.probability = probability;
+            }
+        }
+        if (TriggerCondition.isCondition(hit.condition) && hit.condition !== 'always') {
+            settings.condition = hit.condition;
+        }
+        return settings;
+    }
+
+    static getProbability(hit) {
+        return hit.probability === undefined ? TriggerCondition.DEFAULT_PROBABILITY : hit.probability;
+    }
+
+    static getCondition(hit) {
+        return hit.condition || 'always';
+    }
+
+    static isConditional(hit) {
+        return TriggerCondition.getProbability(hit) < TriggerCondition.DEFAULT_PROBABILITY
+            || TriggerCondition.getCondition(hit) !== 'always';
+    }
+
+    // context: { loopPass (0 = first pass), previousStepFired, fill }
+    static conditionMet(condition, context) {
+        switch (condition) {
+            case 'everySecond':
+                return context.loopPass % 2 === 1;
+            case 'firstPass':
+                return context.loopPass === 0;
+            case 'previousFired':
+                return context.previousStepFired;
+            case 'fill':
+                return context.fill;
+            default:
+                return true;
+        }
+    }
+
+    // Decide whether a hit plays on this pass (random: returns a number in [0, 1))
+    static shouldFire(hit, context, random = Math.random) {
+        if (!TriggerCondition.conditionMet(TriggerCondition.getCondition(hit), context)) {
+            return false;
+        }
+        const probability = TriggerCondition.getProbability(hit);
+        return probability >= TriggerCondition.DEFAULT_PROBABILITY || random() * 100 < probability;
+    }
+
+    // Short grid marker for a conditional hit ('' for hits that always play)
+    static getMarker(hit) {
+        const marker = TriggerCondition.CONDITIONS[TriggerCondition.getCondition(hit)].marker;
+        if (marker) return marker;
+        return TriggerCondition.isConditional(hit) ? TriggerCondition.PROBABILITY_MARKER : '';
+    }
+
+    // Description for tooltips, e.g. "50% · Every 2nd loop"
+    static describe(hit) {
+        const parts = [];
+        const probability = TriggerCondition.getProbability(hit);
+        const condition = TriggerCondition.getCondition(hit);
+        if (probability < TriggerCondition.DEFAULT_PROBABILITY) {
+            parts.push(`${probability}%`);
+        }
+        if (condition !== 'always') {
+            parts.push(TriggerCondition.CONDITIONS[condition].label);
+        }
+        return parts.join(' · ');
+    }
+}
+
+// Make TriggerCondition available globally
+window.TriggerCondition = TriggerCondition;
@@ -0,0 +1,87 @@
+// Undo History - bounded command stack for undo/redo
+// A command is { label, undo(), redo() } and is pushed after its change has been applied.
+// Only the most recent `limit` commands are kept.
+class UndoHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.onChange = options.onChange || null; // () => void, called when the stacks change
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false; // True while a command is being undone/redone
+    }
+
+    // Record a command that has just been applied. Clears the redo stack.
+    // Ignored while undoing/redoing, so changes made by a command are not recorded again.
+    push(command) {
+        if (this.isApplying) return;
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        this.apply(() => command.undo());
+        this.redoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        this.apply(() => command.redo());
+        this.undoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    apply(action) {
+        this.isApplying = true;
+        try {
+            action();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Label of the command that undo/redo would apply (for button tooltips)
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+// Make UndoHistory available globally
+window.UndoHistory = UndoHistory;
@@ -0,0 +1,61 @@
+// WAV File Module - encodes rendered audio as a 16-bit PCM WAV file
+class WavFile {
+    static BITS_PER_SAMPLE = 16;
+
+    // Encode an AudioBuffer (e.g. the result of OfflineAudioContext.startRendering)
+    // into a RIFF/WAVE file with interleaved channels. Returns a Uint8Array.
+    static encode(audioBuffer) {
+        const channelCount = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const frameCount = audioBuffer.length;
+        const bytesPerSample = WavFile.BITS_PER_SAMPLE / 8;
+        const blockAlign = channelCount * bytesPerSample;
+        const dataSize = frameCount * blockAlign;
+
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        // RIFF header
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+
+        // Format chunk: PCM
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, WavFile.BITS_PER_SAMPLE, true);
+
+        // Data chunk: interleaved samples, clipped to [-1, 1]
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channels = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+
+        let offset = 44;
+        for (let i = 0; i < frameCount; i++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += bytesPerSample;
+            }
+        }
+
+        return new Uint8Array(buffer);
+    }
+}
+
+// Make WavFile available globally
+window.WavFile = WavFile;